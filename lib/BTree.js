@@ -0,0 +1,245 @@
+'use strict';
+
+module.exports = BTree;
+
+// A B+ tree keeping distinct values in the order compare gives. Values are
+// held in leaves linked to their neighbours, so that runs of them can be read
+// in either direction from where a search ends. Inner nodes hold their
+// children and, between each pair, a bound that every value on its left is
+// lower than and no value on its right is. Every node but the root holds
+// between ORDER / 2 and ORDER values or children.
+var ORDER = 64;
+var MIN_SIZE = ORDER >> 1;
+
+function BTree(compare) {
+  this.compare = compare;
+  this.root = newLeaf();
+  this.size = 0;
+}
+
+function newLeaf() {
+  return {
+    leaf: true,
+    values: [],
+    previous: null,
+    next: null
+  };
+}
+
+function newInner(children, bounds) {
+  return {
+    leaf: false,
+    children: children,
+    bounds: bounds
+  };
+}
+
+function sizeOf(node) {
+  return node.leaf ? node.values.length : node.children.length;
+}
+
+// Returns how many elements before returns true for, all of them coming first
+function search(elements, before) {
+  var low = 0;
+  var high = elements.length;
+  while (low < high) {
+    var middle = (low + high) >> 1;
+    if (before(elements[middle])) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function lowerThan(tree, value) {
+  return function(element) {
+    return tree.compare(element, value) < 0;
+  };
+}
+
+function notHigherThan(tree, value) {
+  return function(element) {
+    return tree.compare(element, value) <= 0;
+  };
+}
+
+// Adds a value under node, returning the new right half and the bound before
+// it if the node had to be split
+function insertInto(tree, node, value) {
+  var right;
+  if (node.leaf) {
+    var position = search(node.values, lowerThan(tree, value));
+    if (position < node.values.length && tree.compare(node.values[position], value) === 0) {
+      return false;
+    }
+    node.values.splice(position, 0, value);
+    tree.size++;
+    if (node.values.length <= ORDER) {
+      return true;
+    }
+    right = newLeaf();
+    right.values = node.values.splice(node.values.length >> 1);
+    right.previous = node;
+    right.next = node.next;
+    if (node.next) {
+      node.next.previous = right;
+    }
+    node.next = right;
+    return {
+      bound: right.values[0],
+      node: right
+    };
+  }
+  var index = search(node.bounds, notHigherThan(tree, value));
+  var split = insertInto(tree, node.children[index], value);
+  if (typeof split === 'boolean') {
+    return split;
+  }
+  node.children.splice(index + 1, 0, split.node);
+  node.bounds.splice(index, 0, split.bound);
+  if (node.children.length <= ORDER) {
+    return true;
+  }
+  var middle = node.children.length >> 1;
+  right = newInner(node.children.splice(middle), node.bounds.splice(middle));
+  return {
+    bound: node.bounds.pop(),
+    node: right
+  };
+}
+
+// Adds a value unless an equal one is already there, and returns whether it
+// was added
+BTree.prototype.insert = function(value) {
+  var split = insertInto(this, this.root, value);
+  if (typeof split === 'boolean') {
+    return split;
+  }
+  this.root = newInner([this.root, split.node], [split.bound]);
+  return true;
+};
+
+// Refills the child of node at index once it holds too few values or children,
+// by moving one over from a neighbour or merging it with one
+function rebalance(node, index) {
+  var child = node.children[index];
+  var left = node.children[index - 1];
+  var right = node.children[index + 1];
+  if (left && sizeOf(left) > MIN_SIZE) {
+    if (child.leaf) {
+      child.values.unshift(left.values.pop());
+      node.bounds[index - 1] = child.values[0];
+    } else {
+      child.children.unshift(left.children.pop());
+      child.bounds.unshift(node.bounds[index - 1]);
+      node.bounds[index - 1] = left.bounds.pop();
+    }
+  } else if (right && sizeOf(right) > MIN_SIZE) {
+    if (child.leaf) {
+      child.values.push(right.values.shift());
+      node.bounds[index] = right.values[0];
+    } else {
+      child.children.push(right.children.shift());
+      child.bounds.push(node.bounds[index]);
+      node.bounds[index] = right.bounds.shift();
+    }
+  } else {
+    merge(node, left ? index - 1 : index);
+  }
+}
+
+// Moves everything in the child of node after index into the child at index
+function merge(node, index) {
+  var left = node.children[index];
+  var right = node.children[index + 1];
+  if (left.leaf) {
+    left.values = left.values.concat(right.values);
+    left.next = right.next;
+    if (right.next) {
+      right.next.previous = left;
+    }
+  } else {
+    left.bounds = left.bounds.concat([node.bounds[index]], right.bounds);
+    left.children = left.children.concat(right.children);
+  }
+  node.children.splice(index + 1, 1);
+  node.bounds.splice(index, 1);
+}
+
+function removeFrom(tree, node, value) {
+  if (node.leaf) {
+    var position = search(node.values, lowerThan(tree, value));
+    if (position === node.values.length || tree.compare(node.values[position], value) !== 0) {
+      return false;
+    }
+    node.values.splice(position, 1);
+    tree.size--;
+    return true;
+  }
+  var index = search(node.bounds, notHigherThan(tree, value));
+  if (!removeFrom(tree, node.children[index], value)) {
+    return false;
+  }
+  if (sizeOf(node.children[index]) < MIN_SIZE && node.children.length > 1) {
+    rebalance(node, index);
+  }
+  return true;
+}
+
+// Removes the value equal to value, and returns whether there was one
+BTree.prototype.remove = function(value) {
+  if (!removeFrom(this, this.root, value)) {
+    return false;
+  }
+  if (!this.root.leaf && this.root.children.length === 1) {
+    this.root = this.root.children[0];
+  }
+  return true;
+};
+
+function always() {
+  return true;
+}
+
+function never() {
+  return false;
+}
+
+// Calls visit with the values in order, starting with the first one that
+// before returns false for, until visit returns false. With reverse set, the
+// values are visited backwards from the last one before returns true for.
+// Without before, every value is visited from the first one, or the last. The
+// values before returns true for have to come first.
+BTree.prototype.each = function(before, reverse, visit) {
+  before = before || (reverse ? always : never);
+  var node = this.root;
+  while (!node.leaf) {
+    node = node.children[search(node.bounds, before)];
+  }
+  var index = search(node.values, before);
+  if (reverse) {
+    index--;
+  }
+  while (node) {
+    var values = node.values;
+    if (reverse) {
+      for (; index >= 0; index--) {
+        if (!visit(values[index])) {
+          return;
+        }
+      }
+      node = node.previous;
+      index = node ? node.values.length - 1 : 0;
+    } else {
+      for (; index < values.length; index++) {
+        if (!visit(values[index])) {
+          return;
+        }
+      }
+      node = node.next;
+      index = 0;
+    }
+  }
+};
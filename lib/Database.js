@@ -4,56 +4,158 @@ var clone = require('clone');
 var deepEqual = require('deep-equal');
 var defaults = require('defaults');
 var fs = require('fs-extra');
-var smaz = require('smaz');
+var stream = require('stream');
 var tmp = require('tmp');
 var uuid = require('node-uuid');
+var codecs = require('./codecs');
+var crc32 = require('./crc32');
+var encryption = require('./encryption');
+var errors = require('./errors');
+var expressions = require('./expressions');
+var Heap = require('./Heap');
+var Index = require('./Index');
+var Journal = require('./Journal');
+var Lock = require('./Lock');
+var OrderedIndex = require('./OrderedIndex');
+var paths = require('./paths');
+var Pipeline = require('./Pipeline');
+var projections = require('./projections');
+var sorting = require('./sorting');
+var TextIndex = require('./TextIndex');
 
 tmp.setGracefulCleanup();
 
 var fsClose = Promise.promisify(fs.close);
 var fsCopy = Promise.promisify(fs.copy);
 var fsEnsureFile = Promise.promisify(fs.ensureFile);
-var fsFTruncate = Promise.promisify(fs.ftruncate);
+var fsFStat = Promise.promisify(fs.fstat);
+var fsFSync = Promise.promisify(fs.fsync);
 var fsOpen = Promise.promisify(fs.open);
 var fsRead = Promise.promisify(fs.read);
+var fsRemove = Promise.promisify(fs.remove);
+var fsRename = Promise.promisify(fs.rename);
+var fsStat = Promise.promisify(fs.stat);
 var fsWrite = Promise.promisify(fs.write);
 var tmpName = Promise.promisify(tmp.tmpName);
 
-var compress = smaz.compress;
-var decompress = smaz.decompress;
-
 module.exports = Database;
 
 Database.MAX_CACHE_SIZE_DEFAULT = 134217728; // 128 MB
-Database.HEADER_LENGTH = 22; // bytes
+Database.BLOCK_SIZE_DEFAULT = 128; // bytes
+Database.VERSION = 3;
+Database.HEADER_LENGTH = 128; // bytes
+Database.LEGACY_HEADER_LENGTH = 22; // bytes
+Database.BLOCK_HEADER_LENGTH = 13; // bytes
+
+Database.CorruptBlockError = errors.CorruptBlockError;
+Database.CorruptHeaderError = errors.CorruptHeaderError;
+Database.DatabaseLockedError = errors.DatabaseLockedError;
+Database.InvalidBackupError = errors.InvalidBackupError;
+Database.InvalidKeyError = errors.InvalidKeyError;
+Database.InvalidMagicError = errors.InvalidMagicError;
+Database.RecordParseError = errors.RecordParseError;
+Database.RecoveryRequiredError = errors.RecoveryRequiredError;
+Database.TransactionInProgressError = errors.TransactionInProgressError;
+Database.UniqueConstraintError = errors.UniqueConstraintError;
+Database.UnknownCodecError = errors.UnknownCodecError;
+Database.UnsupportedVersionError = errors.UnsupportedVersionError;
+
+// Makes a codec available to every database by name. A codec has an
+// encode(string) function that returns a Buffer and a decode(buffer) function
+// that returns the string again.
+Database.registerCodec = codecs.register;
+
+// Block header lengths by file version
+var blockHeaderLengths = [undefined, 0, 9, Database.BLOCK_HEADER_LENGTH];
+
+// Block types
+var RECORD_BLOCK = 1;
+var OVERFLOW_BLOCK = 2;
+var INDEX_BLOCK = 3;
+var TOMBSTONE_BLOCK = 4;
+var SCHEMA_BLOCK = 5;
+
+var NO_BLOCK = 0xFFFFFFFF;
+
+var COPY_CHUNK_SIZE = 1048576; // 1 MB
+
+// Offsets in the header
+var CODEC_OFFSET = 26;
+var KEY_CHECK_OFFSET = 42;
+var SCHEMA_OFFSET = 54;
+var KDF_OFFSET = 58;
+var KDF_ITERATIONS_OFFSET = 60;
+var SALT_OFFSET = 64;
+var CHECKSUM_OFFSET = 124;
+
+// Header flags
+var SMAZ_FLAG = 1;
+var ENCRYPTED_FLAG = 2;
+var SCHEMA_FLAG = 4;
 
 function Database(options) {
   if (typeof options === 'object') {
     options = defaults(options, {
-      compressed: true
+      compressed: true,
+      blockSize: Database.BLOCK_SIZE_DEFAULT,
+      strict: true,
+      lock: Lock.EXCLUSIVE
     });
     this.fileName = options.fileName;
     this.copyOf = options.copyOf;
-    this.compressed = options.compressed;
+    this.codec = options.codec;
+    if (this.codec === undefined) {
+      this.codec = options.compressed ? 'smaz' : 'none';
+    }
+    this.blockSize = options.blockSize;
+    this.strict = options.strict;
+    // The key itself is derived on load, with the salt from the header
+    this.keySource = encryption.checkKey(options.encryptionKey);
+    this.lockMode = options.lock;
+    this.autoCompactThreshold = options.autoCompactThreshold;
   }
   else {
     this.fileName = options;
   }
-  if (this.compressed === undefined) {
-    this.compressed = true;
+  if (this.codec === undefined) {
+    this.codec = 'smaz';
+  }
+  if (this.blockSize === undefined) {
+    this.blockSize = Database.BLOCK_SIZE_DEFAULT;
+  }
+  if (this.strict === undefined) {
+    this.strict = true;
   }
-  this.version = 1;
+  if (this.lockMode === undefined) {
+    this.lockMode = Lock.EXCLUSIVE;
+  }
+  this.readOnly = this.lockMode === Lock.SHARED_READONLY;
+  this.lock = undefined;
+  this.version = Database.VERSION;
   this.fd = undefined;
   this.headerLength = Database.HEADER_LENGTH;
+  this.blockHeaderLength = Database.BLOCK_HEADER_LENGTH;
   this.items = {};
 
   this.cache = [];
-  this.cacheHoles = {};
+  // The blocks taken by the cached items, counting their overflow blocks
+  this.cacheBlocks = 0;
   this.maxCacheSize = Database.MAX_CACHE_SIZE_DEFAULT;
 
   this.blocks = 0;
-  this.blockSize = 0;
   this.blockHoles = {};
+  this.indexBlock = NO_BLOCK;
+  this.indexData = undefined;
+
+  // Secondary indexes by field name, and where their definitions are stored
+  this.indexes = {};
+  this.schemaData = undefined;
+
+  this.journal = undefined;
+  this.writeQueue = Promise.resolve();
+  this.undo = undefined;
+  // The transaction whose handle has to be used until it finishes
+  this.activeTransaction = undefined;
 }
 
 function arrayContains(array, element) {
@@ -65,33 +167,162 @@ function arrayContains(array, element) {
   return false;
 }
 
+// A condition on an array field matches if any of its elements satisfies it
+function someElement(itemValue, test) {
+  if (!Array.isArray(itemValue)) {
+    return test(itemValue);
+  }
+  for (var i = 0; i < itemValue.length; i++) {
+    if (test(itemValue[i])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// An array field is equal to a value if the whole array or one of its
+// elements is
+function valueEquals(itemValue, testValue) {
+  return deepEqual(itemValue, testValue) || (Array.isArray(itemValue) && arrayContains(itemValue, testValue));
+}
+
+function valueIn(itemValue, testValues) {
+  for (var i = 0; i < testValues.length; i++) {
+    if (valueEquals(itemValue, testValues[i])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// An $elemMatch condition is either a query on the fields of the elements or,
+// if it is made of operators like $gt, a condition on the elements themselves
+function elementMatches(db, element, condition) {
+  for (var key in condition) {
+    if (condition.hasOwnProperty(key) && key.charAt(0) === '$' && !db.queryOperators[key]) {
+      return db.matches({element: element}, {element: condition});
+    }
+  }
+  return db.matches(element, condition);
+}
+
+// Dates are saved as ISO strings, so those count as dates as well as strings
+var ISO_DATE = /^[+-]?\d{4,6}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+var TYPES = {
+  number: function(value) {
+    return typeof value === 'number';
+  },
+  string: function(value) {
+    return typeof value === 'string';
+  },
+  boolean: function(value) {
+    return typeof value === 'boolean';
+  },
+  object: function(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  },
+  array: Array.isArray,
+  null: function(value) {
+    return value === null;
+  },
+  date: function(value) {
+    return value instanceof Date || (typeof value === 'string' && ISO_DATE.test(value));
+  }
+};
+
+// A field of type array matches 'array', and the type of its elements
+function hasType(itemValue, type) {
+  if (!TYPES.hasOwnProperty(type)) {
+    throw new Error('Invalid $type: ' + type + ' expected one of ' + Object.keys(TYPES).join(', '));
+  }
+  return TYPES[type](itemValue) || (type !== 'array' && Array.isArray(itemValue) && itemValue.some(TYPES[type]));
+}
+
 Database.prototype.operators = {
   $lt: function (itemValue, testValue) {
-    return itemValue < testValue;
+    return someElement(itemValue, function(value) {
+      return value < testValue;
+    });
   },
   $lte: function (itemValue, testValue) {
-    return itemValue <= testValue;
+    return someElement(itemValue, function(value) {
+      return value <= testValue;
+    });
   },
   $gt: function (itemValue, testValue) {
-    return itemValue > testValue;
+    return someElement(itemValue, function(value) {
+      return value > testValue;
+    });
   },
   $gte: function (itemValue, testValue) {
-    return itemValue >= testValue;
+    return someElement(itemValue, function(value) {
+      return value >= testValue;
+    });
   },
   $in: function(itemValue, testValues) {
-    return testValues.indexOf(itemValue) >= 0;
+    return valueIn(itemValue, testValues);
   },
   $ne: function(itemValue, testValue) {
-    return !deepEqual(itemValue, testValue);
+    return !valueEquals(itemValue, testValue);
   },
   $nin: function(itemValue, testValues) {
-    return testValues.indexOf(itemValue) < 0;
+    return !valueIn(itemValue, testValues);
   },
   $exists: function(itemValue, testValue) {
     return (itemValue === undefined) === testValue;
   },
   $regex: function(itemValue, testValue) {
-    return testValue.test(itemValue);
+    return someElement(itemValue, function(value) {
+      return testValue.test(value);
+    });
+  },
+  $size: function(itemValue, testValue) {
+    return Array.isArray(itemValue) && itemValue.length === testValue;
+  },
+  // Every value has to be in the array, in any order
+  $all: function(itemValue, testValues) {
+    if (testValues.length === 0) {
+      return false;
+    }
+    for (var i = 0; i < testValues.length; i++) {
+      if (!valueEquals(itemValue, testValues[i])) {
+        return false;
+      }
+    }
+    return true;
+  },
+  // The type is a name from TYPES, or an array of them to match any
+  $type: function(itemValue, types) {
+    types = Array.isArray(types) ? types : [types];
+    for (var i = 0; i < types.length; i++) {
+      if (hasType(itemValue, types[i])) {
+        return true;
+      }
+    }
+    return false;
+  },
+  // Numbers whose remainder after dividing by divisor is remainder
+  $mod: function(itemValue, testValue) {
+    if (!Array.isArray(testValue) || testValue.length !== 2 || typeof testValue[0] !== 'number' ||
+        typeof testValue[1] !== 'number' || testValue[0] === 0) {
+      throw new Error('Invalid $mod: expected [divisor, remainder] with a divisor other than 0');
+    }
+    return someElement(itemValue, function(value) {
+      return typeof value === 'number' && value % testValue[0] === testValue[1];
+    });
+  },
+  // At least one element has to match the whole condition
+  $elemMatch: function(itemValue, condition) {
+    if (!Array.isArray(itemValue)) {
+      return false;
+    }
+    for (var i = 0; i < itemValue.length; i++) {
+      if (elementMatches(this, itemValue[i], condition)) {
+        return true;
+      }
+    }
+    return false;
   }
 };
 
@@ -114,49 +345,81 @@ Database.prototype.queryOperators = {
   },
   $not: function(itemValue, query) {
     return !this.matches(itemValue, query);
+  },
+  $text: function(item, condition) {
+    return textIndexOf(this).matches(item, condition);
+  },
+  // Calls a function with the item as this and as its argument
+  $where: function(item, predicate) {
+    if (typeof predicate !== 'function') {
+      throw new Error('Invalid $where: expected a function');
+    }
+    return !!predicate.call(item, item);
+  },
+  // Evaluates an expression that can compare fields of the item, as in
+  // {$gt: ['$spent', '$budget']}
+  $expr: function(item, expression) {
+    return expressions.isTrue(expressions.evaluate(expression, item));
   }
 };
 
+function textIndexOf(db) {
+  if (!db.indexes.hasOwnProperty(TextIndex.NAME)) {
+    throw new Error('A $text query needs a text index, create one with ensureTextIndex');
+  }
+  return db.indexes[TextIndex.NAME];
+}
+
+// Keys are field paths, missing objects along them are created
 Database.prototype.updateOperators = {
   $set: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        item[key] = update[key];
+        paths.set(item, key, update[key]);
       }
     }
   },
   $unset: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        delete item[key];
+        paths.unset(item, key);
       }
     }
   },
+  // A missing field counts as 0 for $inc, and is set to the value for $min and
+  // $max. $pop and $pull leave it missing.
   $inc: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        item[key] += update[key];
+        var value = paths.get(item, key);
+        paths.set(item, key, (value === undefined ? 0 : value) + update[key]);
       }
     }
   },
   $min: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        item[key] = Math.min(item[key], update[key]);
+        var current = paths.get(item, key);
+        paths.set(item, key, current === undefined ? update[key] : Math.min(current, update[key]));
       }
     }
   },
   $max: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        item[key] = Math.max(item[key], update[key]);
+        var current = paths.get(item, key);
+        paths.set(item, key, current === undefined ? update[key] : Math.max(current, update[key]));
       }
     }
   },
   $push: function(item, update, forceUnique) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        var items = item[key];
+        var items = paths.get(item, key);
+        if (items === undefined) {
+          items = [];
+          paths.set(item, key, items);
+        }
         var value = update[key];
         var arrayValue = value.$each;
         if (arrayValue) {
@@ -181,21 +444,28 @@ Database.prototype.updateOperators = {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
         var value = update[key];
+        var items = paths.get(item, key);
+        if (items === undefined) {
+          continue;
+        }
         if (value > 0) {
-          item[key].pop();
+          items.pop();
         } else if (value < 0) {
-          item[key].shift();
+          items.shift();
         }
       }
     }
   },
   $addToSet: function(item, update) {
-    return this.$push(item, update, true);
+    return this.updateOperators.$push.call(this, item, update, true);
   },
   $pull: function(item, update) {
     for (var key in update) {
       if (update.hasOwnProperty(key)) {
-        var items = item[key];
+        var items = paths.get(item, key);
+        if (items === undefined) {
+          continue;
+        }
         for (var i = 0; i < items.length; i++) {
           var itemValue = items[i];
           if (this.matches(itemValue, update[key])) {
@@ -208,6 +478,60 @@ Database.prototype.updateOperators = {
   }
 };
 
+// A database gets its own operators once it registers one, inheriting the
+// ones registered for every database, even later
+function ownOperators(target, kind) {
+  if (!target.hasOwnProperty(kind)) {
+    target[kind] = Object.create(Database.prototype[kind]);
+  }
+  return target[kind];
+}
+
+function registerOperator(target, kinds, name, fn) {
+  if (typeof name !== 'string' || name.length < 2 || name.charAt(0) !== '$') {
+    throw new Error('Invalid operator name ' + name + ': it has to start with $');
+  }
+  if (typeof fn !== 'function') {
+    throw new Error('Invalid operator ' + name + ': expected a function');
+  }
+  for (var i = 0; i < kinds.length; i++) {
+    if (target[kinds[i]][name] !== undefined) {
+      throw new Error('The operator ' + name + ' is already defined');
+    }
+  }
+  ownOperators(target, kinds[0])[name] = fn;
+}
+
+// Query operators on a field share their names with the ones on whole items
+function queryKinds(options) {
+  return options && options.topLevel ? ['queryOperators', 'operators'] : ['operators', 'queryOperators'];
+}
+
+// Adds an operator for the conditions on a field in this database's queries,
+// as in {field: {$name: value}}. fn is called with the database as this, the
+// value of the field and the operator's value, and returns whether the field
+// matches. With topLevel set, the operator is a key of the query itself like
+// $or, and fn is called with the whole item instead of a field.
+Database.prototype.registerQueryOperator = function(name, fn, options) {
+  registerOperator(this, queryKinds(options), name, fn);
+};
+
+// Adds an operator for this database's updates, as in {$name: {field: value}}.
+// fn is called with the database as this, the item to change and the
+// operator's value.
+Database.prototype.registerUpdateOperator = function(name, fn) {
+  registerOperator(this, ['updateOperators'], name, fn);
+};
+
+// Add an operator to every database, including the ones already created
+Database.registerQueryOperator = function(name, fn, options) {
+  registerOperator(Database.prototype, queryKinds(options), name, fn);
+};
+
+Database.registerUpdateOperator = function(name, fn) {
+  registerOperator(Database.prototype, ['updateOperators'], name, fn);
+};
+
 function readBufferFromBlock(db, block, buffer, length) {
   if (!buffer) {
     buffer = new Buffer(db.blockSize);
@@ -218,67 +542,477 @@ function readBufferFromBlock(db, block, buffer, length) {
   return fsRead(db.fd, buffer, 0, length, db.headerLength + block * db.blockSize);
 }
 
-function readFromBlock(db, block, buffer, length) {
-  return readBufferFromBlock(db, block, buffer, length)
+function encodeItem(db, item) {
+  var payload = codecs.get(db.codec).encode(JSON.stringify(item));
+  if (db.encryptionKey) {
+    return encryption.encrypt(db.encryptionKey, payload);
+  }
+  return payload;
+}
+
+// Decoding and parsing failures are both reported as a RecordParseError
+function parseItem(db, payload, block, trim) {
+  try {
+    var itemString = codecs.get(db.codec).decode(payload);
+    if (trim) {
+      itemString = itemString.substring(itemString.indexOf('{'), itemString.lastIndexOf('}') + 1);
+    }
+    return JSON.parse(itemString);
+  } catch (error) {
+    throw new errors.RecordParseError('Invalid record in block ' + block + ': ' + error.message, {
+      block: block
+    });
+  }
+}
+
+function decodeItem(db, payload, block) {
+  if (db.encryptionKey) {
+    try {
+      payload = encryption.decrypt(db.encryptionKey, payload);
+    } catch (error) {
+      throw new errors.CorruptBlockError('Could not decrypt the record in block ' + block + ': ' + error.message, {
+        block: block
+      });
+    }
+  }
+  return parseItem(db, payload, block, false);
+}
+
+// Version 1 files store each item in a single block, padded with spaces
+function readLegacyBlock(db, block) {
+  var buffer = new Buffer(db.blockSize);
+  return readBufferFromBlock(db, block, buffer)
     .then(function() {
-      var itemString;
-      if (db.compressed) {
-        itemString = decompress(buffer);
-        itemString = itemString.substring(itemString.indexOf('{'), itemString.lastIndexOf('}') + 1);
-      } else {
-        itemString = buffer.toString();
+      return parseItem(db, buffer, block, true);
+    });
+}
+
+// Covers the whole block except for the checksum itself
+function blockChecksum(buffer) {
+  return crc32(buffer, Database.BLOCK_HEADER_LENGTH, buffer.length, crc32(buffer, 0, 9));
+}
+
+function readBlock(db, block) {
+  var buffer = new Buffer(db.blockSize);
+  buffer.fill(0);
+  return readBufferFromBlock(db, block, buffer)
+    .then(function() {
+      if (db.version >= 3 && blockChecksum(buffer) !== buffer.readUInt32LE(9)) {
+        throw new errors.CorruptBlockError('Checksum mismatch in block ' + block, {
+          block: block
+        });
+      }
+      var length = Math.min(buffer.readUInt32LE(1), db.blockSize - db.blockHeaderLength);
+      return {
+        type: buffer.readUInt8(0),
+        next: buffer.readUInt32LE(5),
+        payload: buffer.slice(db.blockHeaderLength, db.blockHeaderLength + length)
+      };
+    });
+}
+
+// Reads the item stored in the chain of blocks listed by its item data
+function readItem(db, itemData) {
+  if (db.version < 2) {
+    return readLegacyBlock(db, itemData.block);
+  }
+  var chain = [itemData.block].concat(itemData.overflow);
+  return Promise.map(chain, function(block) {
+    return readBlock(db, block);
+  })
+    .then(function(blocks) {
+      var payloads = [];
+      for (var i = 0; i < blocks.length; i++) {
+        payloads.push(blocks[i].payload);
       }
-      return JSON.parse(itemString);
+      return decodeItem(db, Buffer.concat(payloads), itemData.block);
     });
 }
 
-function blankEntry(buffer) {
-  for (var i = 0; i < buffer.length; i++) {
-    buffer.write(' ', i, 'utf8');
+// Reads the record starting at a block by following the links between its
+// blocks. Resolves to undefined if the block does not start a record of the
+// given type.
+function readRecord(db, block, type) {
+  if (type === undefined) {
+    type = RECORD_BLOCK;
+  }
+  if (db.version < 2) {
+    return readLegacyBlock(db, block)
+      .then(function(item) {
+        return {
+          item: item,
+          overflow: []
+        };
+      });
   }
+  var payloads = [];
+  var overflow = [];
+  function follow(data) {
+    payloads.push(data.payload);
+    if (data.next === NO_BLOCK) {
+      return {
+        item: decodeItem(db, Buffer.concat(payloads), block),
+        overflow: overflow
+      };
+    }
+    if (overflow.length >= db.blocks) {
+      throw new Error('Invalid overflow chain starting at block ' + block);
+    }
+    overflow.push(data.next);
+    return readBlock(db, data.next).then(follow);
+  }
+  return readBlock(db, block)
+    .then(function(data) {
+      if (data.type !== type) {
+        return undefined;
+      }
+      return follow(data);
+    });
 }
 
-function writeBufferToBlock(db, block, buffer, blockSize) {
-  if (blockSize === undefined) {
-    blockSize = db.blockSize;
+function getItem(db, id) {
+  var itemData = db.items[id];
+  if (itemData.cached) {
+    return Promise.resolve(db.cache[itemData.cacheIndex]);
   }
-  return fsWrite(db.fd, buffer, 0, buffer.length, db.headerLength + block * blockSize);
+  return readItem(db, itemData)
+    .then(function(item) {
+      if (db.items[id] === itemData) {
+        cacheItem(db, itemData, item);
+      }
+      return item;
+    });
+}
+
+function writeBufferToBlock(db, block, buffer) {
+  return db.journal.write(buffer, 0, buffer.length, db.headerLength + block * db.blockSize);
 }
 
-function writeToBlock(db, block, item, buffer, blockSize) {
-  if (blockSize === undefined) {
-    blockSize = db.blockSize;
+// Splits an encoded item across the blocks in chain, linking each block to
+// the one after it
+function writeChain(db, payload, chain, type) {
+  if (type === undefined) {
+    type = RECORD_BLOCK;
   }
-  if (!buffer) {
-    buffer = new Buffer(blockSize);
+  var capacity = db.blockSize - db.blockHeaderLength;
+  return Promise.map(chain, function(block, index) {
+    var buffer = new Buffer(db.blockSize);
+    buffer.fill(0);
+    var start = Math.min(index * capacity, payload.length);
+    var end = Math.min(start + capacity, payload.length);
+    buffer.writeUInt8(index === 0 ? type : OVERFLOW_BLOCK, 0);
+    buffer.writeUInt32LE(end - start, 1);
+    buffer.writeUInt32LE(index + 1 < chain.length ? chain[index + 1] : NO_BLOCK, 5);
+    payload.copy(buffer, db.blockHeaderLength, start, end);
+    buffer.writeUInt32LE(blockChecksum(buffer), 9);
+    return writeBufferToBlock(db, block, buffer);
+  });
+}
+
+// Marks a removed record's first block so that a scan of the file skips it.
+// Its blocks stay in place as holes until they are reused or compacted.
+function writeTombstone(db, block) {
+  return writeChain(db, new Buffer(0), [block], TOMBSTONE_BLOCK);
+}
+
+// Reuses the lowest hole if there is one, otherwise grows the file
+function allocateBlock(db) {
+  for (var hole in db.blockHoles) {
+    if (db.blockHoles.hasOwnProperty(hole)) {
+      delete db.blockHoles[hole];
+      return parseInt(hole);
+    }
   }
-  blankEntry(buffer);
-  var itemString = JSON.stringify(item);
-  if (db.compressed) {
-    var compressedBuffer = new Buffer(compress(itemString).buffer);
-    compressedBuffer.copy(buffer);
-  } else {
-    buffer.write(itemString);
+  return db.blocks++;
+}
+
+function blocksNeeded(db, payload) {
+  var capacity = db.blockSize - db.blockHeaderLength;
+  return Math.max(1, Math.ceil(payload.length / capacity));
+}
+
+// Writes an item over the blocks it already owns, taking more blocks if it has
+// grown and releasing them if it has shrunk
+function writeItem(db, item, itemData, type) {
+  var payload = encodeItem(db, item);
+  var numBlocks = blocksNeeded(db, payload);
+  var chain = [];
+  if (itemData.block >= 0) {
+    chain = [itemData.block].concat(itemData.overflow);
+  }
+  while (chain.length < numBlocks) {
+    chain.push(allocateBlock(db));
+  }
+  while (chain.length > numBlocks) {
+    db.blockHoles[chain.pop()] = true;
+  }
+  itemData.block = chain[0];
+  itemData.overflow = chain.slice(1);
+  return writeChain(db, payload, chain, type);
+}
+
+// The primary key index maps every _id to the blocks it is stored in and
+// lists the holes left by removed items. It is written to the end of the file
+// when the database is closed and referenced from the header, so the next load
+// does not have to scan every block.
+function writeIndex(db) {
+  var items = db.items;
+  var entries = [];
+  for (var id in items) {
+    if (items.hasOwnProperty(id)) {
+      var itemData = items[id];
+      entries.push([id, itemData.block].concat(itemData.overflow));
+    }
+  }
+  var indexes = [];
+  for (var name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      indexes.push(db.indexes[name].toJSON());
+    }
+  }
+  var index = {
+    blocks: db.blocks,
+    holes: Object.keys(db.blockHoles).map(Number),
+    items: entries,
+    indexes: indexes
+  };
+  // The index always goes at the end of the file so that load can check it
+  // against the block count
+  var payload = encodeItem(db, index);
+  var chain = [];
+  var numBlocks = blocksNeeded(db, payload);
+  while (chain.length < numBlocks) {
+    chain.push(db.blocks);
+    db.blocks++;
+  }
+  return writeChain(db, payload, chain, INDEX_BLOCK)
+    .then(function() {
+      db.indexBlock = chain[0];
+      db.indexData = {
+        block: chain[0],
+        overflow: chain.slice(1)
+      };
+    });
+}
+
+// Resolves to false if the index is missing or does not match the file
+function readIndex(db) {
+  if (db.indexBlock === NO_BLOCK || db.indexBlock >= db.blocks) {
+    return Promise.resolve(false);
+  }
+  return readRecord(db, db.indexBlock, INDEX_BLOCK)
+    .then(function(record) {
+      if (!record) {
+        return false;
+      }
+      var index = record.item;
+      if (index.blocks + 1 + record.overflow.length !== db.blocks) {
+        return false;
+      }
+      var items = {};
+      var entries = index.items;
+      for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        if (entry[1] >= index.blocks) {
+          return false;
+        }
+        items[entry[0]] = {
+          block: entry[1],
+          overflow: entry.slice(2),
+          cached: false,
+          cacheIndex: -1
+        };
+      }
+      var blockHoles = {};
+      var holes = index.holes || [];
+      for (var j = 0; j < holes.length; j++) {
+        if (holes[j] >= index.blocks) {
+          return false;
+        }
+        blockHoles[holes[j]] = true;
+      }
+      // Every secondary index in the schema must have been saved with the file
+      var indexes = {};
+      var saved = index.indexes || [];
+      for (var k = 0; k < saved.length; k++) {
+        var secondary = indexFromJSON(saved[k]);
+        indexes[secondary.name] = secondary;
+      }
+      for (var name in db.indexes) {
+        if (db.indexes.hasOwnProperty(name) && !indexes.hasOwnProperty(name)) {
+          return false;
+        }
+      }
+      for (name in indexes) {
+        if (indexes.hasOwnProperty(name) && !db.indexes.hasOwnProperty(name)) {
+          delete indexes[name];
+        }
+      }
+      db.items = items;
+      db.blockHoles = blockHoles;
+      db.indexes = indexes;
+      db.indexData = {
+        block: db.indexBlock,
+        overflow: record.overflow
+      };
+      return true;
+    })
+    .catch(function() {
+      return false;
+    });
+}
+
+// The index goes out of date with the first change after it was written
+function releaseIndex(db) {
+  var indexData = db.indexData;
+  if (indexData) {
+    db.blockHoles[indexData.block] = true;
+    for (var i = 0; i < indexData.overflow.length; i++) {
+      db.blockHoles[indexData.overflow[i]] = true;
+    }
+  }
+  db.indexBlock = NO_BLOCK;
+  db.indexData = undefined;
+}
+
+// Finds the blocks that no item is stored in after a full scan
+function findHoles(db) {
+  var items = db.items;
+  var used = new Buffer(db.blocks);
+  used.fill(0);
+  if (db.schemaData) {
+    used[db.schemaData.block] = 1;
+    for (var j = 0; j < db.schemaData.overflow.length; j++) {
+      used[db.schemaData.overflow[j]] = 1;
+    }
+  }
+  for (var id in items) {
+    if (items.hasOwnProperty(id)) {
+      var itemData = items[id];
+      used[itemData.block] = 1;
+      for (var i = 0; i < itemData.overflow.length; i++) {
+        used[itemData.overflow[i]] = 1;
+      }
+    }
+  }
+  for (var block = 0; block < db.blocks; block++) {
+    if (!used[block]) {
+      db.blockHoles[block] = true;
+    }
+  }
+}
+
+// Text and ordered indexes are told apart from field indexes by their type
+function createIndex(definition) {
+  if (definition.type === 'text') {
+    return new TextIndex(definition.fields, definition);
+  }
+  if (definition.type === 'ordered') {
+    return new OrderedIndex(definition.fieldName, definition);
+  }
+  return new Index(definition.fieldName, definition);
+}
+
+function indexFromJSON(json) {
+  if (json.type === 'text') {
+    return TextIndex.fromJSON(json);
   }
-  return writeBufferToBlock(db, block, buffer, blockSize);
+  if (json.type === 'ordered') {
+    return OrderedIndex.fromJSON(json);
+  }
+  return Index.fromJSON(json);
+}
+
+// The schema lists the secondary indexes so that they survive a load that has
+// to scan the file. It is stored in its own chain of blocks, which the header
+// points to.
+function schemaOf(db) {
+  var indexes = [];
+  for (var name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      indexes.push(db.indexes[name].definition());
+    }
+  }
+  return {
+    indexes: indexes
+  };
+}
+
+function writeSchema(db) {
+  if (!db.schemaData) {
+    db.schemaData = {
+      block: -1,
+      overflow: []
+    };
+  }
+  return writeItem(db, schemaOf(db), db.schemaData, SCHEMA_BLOCK);
+}
+
+// Creates an empty index for each definition in the schema
+function readSchema(db) {
+  db.indexes = {};
+  if (!db.schemaData) {
+    return Promise.resolve();
+  }
+  return readRecord(db, db.schemaData.block, SCHEMA_BLOCK)
+    .then(function(record) {
+      if (!record) {
+        throw new errors.CorruptBlockError('Missing schema in block ' + db.schemaData.block, {
+          block: db.schemaData.block
+        });
+      }
+      db.schemaData.overflow = record.overflow;
+      var indexes = record.item.indexes;
+      for (var i = 0; i < indexes.length; i++) {
+        var index = createIndex(indexes[i]);
+        db.indexes[index.name] = index;
+      }
+    });
+}
+
+// Version 3 files name their codec after the index block. Older files and
+// files written before codecs were named only have the compression flag.
+function readCodecName(header, version) {
+  var name = '';
+  if (version >= 3) {
+    name = header.toString('utf8', CODEC_OFFSET, CODEC_OFFSET + codecs.NAME_LENGTH).replace(/\0+$/, '');
+  }
+  if (name.length === 0) {
+    name = (header.readUInt8(5) & SMAZ_FLAG) ? 'smaz' : 'none';
+  }
+  return name;
 }
 
 function readHeader(db) {
-  var header = new Buffer(db.headerLength);
+  var header = new Buffer(Database.HEADER_LENGTH);
+  header.fill(0);
   return fsRead(db.fd, header, 0, header.length, 0)
     .then(function() {
       var magic = header.toString('utf8', 0, 4);
       if (magic !== 'jinn') {
-        throw new Error('Invalid magic: ' + magic + ' expecteded \'jinn\'');
+        throw new errors.InvalidMagicError('Invalid magic: ' + magic + ' expecteded \'jinn\'');
       }
       var version = header.readUInt8(4);
-      if (version !== 1) {
-        throw new Error('Invalid version: ' + version + ' only version 1 is valid');
+      if (version < 1 || version > Database.VERSION) {
+        throw new errors.UnsupportedVersionError('Invalid version: ' + version + ' only versions 1 to ' + Database.VERSION + ' are valid', {
+          version: version
+        });
       }
-      var flags = header.readUInt8(5);
-      var compressed = false;
-      if (flags === 1) {
-        compressed = true;
+      if (version >= 3 && crc32(header, 0, CHECKSUM_OFFSET) !== header.readUInt32LE(CHECKSUM_OFFSET)) {
+        throw new errors.CorruptHeaderError('Header checksum mismatch');
+      }
+      var codec = readCodecName(header, version);
+      if (!codecs.get(codec)) {
+        throw new errors.UnknownCodecError('Unknown codec: ' + codec + ' has not been registered', {
+          codec: codec
+        });
+      }
+      var encrypted = version >= 3 && (header.readUInt8(5) & ENCRYPTED_FLAG) !== 0;
+      if (encrypted && db.keySource === undefined) {
+        throw new errors.InvalidKeyError('The database is encrypted, an encryptionKey is required');
+      }
+      if (!encrypted && db.keySource !== undefined) {
+        throw new errors.InvalidKeyError('The database is not encrypted, but an encryptionKey was given');
       }
       var blockSize = header.readUInt32LE(6);
       blockSize = blockSize << 16 << 16;
@@ -288,17 +1022,85 @@ function readHeader(db) {
       numBlocks = numBlocks << 16 << 16;
       numBlocks += header.readUInt32LE(18);
 
-      db.compressed = compressed;
+      var indexBlock = NO_BLOCK;
+      if (version >= 2) {
+        indexBlock = header.readUInt32LE(22);
+      }
+      var schemaData;
+      if (version >= 3 && (header.readUInt8(5) & SCHEMA_FLAG)) {
+        schemaData = {
+          block: header.readUInt32LE(SCHEMA_OFFSET),
+          overflow: []
+        };
+      }
+
+      db.version = version;
+      db.headerLength = version === 1 ? Database.LEGACY_HEADER_LENGTH : Database.HEADER_LENGTH;
+      db.blockHeaderLength = blockHeaderLengths[version];
+      db.codec = codec;
       db.blockSize = blockSize;
       db.blocks = numBlocks;
+      db.indexBlock = indexBlock;
+      db.schemaData = schemaData;
+      db.encryptionKey = undefined;
+      db.keyDerivation = undefined;
+      if (encrypted) {
+        return readKey(db, header);
+      }
+    });
+}
+
+// Derives the key of an encrypted file the way its header records and checks
+// it against the header, so that a wrong key is detected before any record is
+// read
+function readKey(db, header) {
+  var derivation = {
+    kdf: header.readUInt8(KDF_OFFSET),
+    iterations: header.readUInt32LE(KDF_ITERATIONS_OFFSET),
+    salt: header.slice(SALT_OFFSET, SALT_OFFSET + encryption.SALT_LENGTH)
+  };
+  return encryption.deriveKey(db.keySource, derivation)
+    .catch(function(error) {
+      throw new errors.InvalidKeyError('Wrong encryption key: ' + error.message);
+    })
+    .then(function(key) {
+      if (!encryption.keyCheck(key).equals(header.slice(KEY_CHECK_OFFSET, KEY_CHECK_OFFSET + encryption.KEY_CHECK_LENGTH))) {
+        throw new errors.InvalidKeyError('Wrong encryption key');
+      }
+      db.encryptionKey = key;
+      db.keyDerivation = derivation;
+    });
+}
+
+// Derives the key of a new file with a new salt
+function createKey(db) {
+  db.encryptionKey = undefined;
+  db.keyDerivation = undefined;
+  if (db.keySource === undefined) {
+    return Promise.resolve();
+  }
+  var derivation = encryption.newDerivation(db.keySource);
+  return encryption.deriveKey(db.keySource, derivation)
+    .then(function(key) {
+      db.encryptionKey = key;
+      db.keyDerivation = derivation;
     });
 }
 
 function writeHeader(db) {
+  // Everything between the salt and the checksum is reserved and left zeroed
   var header = new Buffer(db.headerLength);
+  header.fill(0);
   header.write('jinn');
-  header.writeUInt8(1, 4);
-  header.writeUInt8(db.compressed ? 1 : 0, 5);
+  header.writeUInt8(db.version, 4);
+  var flags = db.codec === 'smaz' ? SMAZ_FLAG : 0;
+  if (db.version >= 3 && db.encryptionKey) {
+    flags |= ENCRYPTED_FLAG;
+  }
+  if (db.version >= 3 && db.schemaData) {
+    flags |= SCHEMA_FLAG;
+  }
+  header.writeUInt8(flags, 5);
   var blockSizeUpper = db.blockSize >> 16 >> 16;
   header.writeUInt32LE(blockSizeUpper, 6);
   var blockSizeLower = db.blockSize & 0xFFFFFFFF;
@@ -307,7 +1109,617 @@ function writeHeader(db) {
   header.writeUInt32LE(numBlocksUpper, 14);
   var numBlocksLower = db.blocks & 0xFFFFFFFF;
   header.writeUInt32LE(numBlocksLower, 18);
-  return fsWrite(db.fd, header, 0, header.length, 0);
+  if (db.version >= 2) {
+    header.writeUInt32LE(db.indexBlock, 22);
+  }
+  if (db.version >= 3) {
+    header.write(db.codec, CODEC_OFFSET, codecs.NAME_LENGTH);
+    if (db.encryptionKey) {
+      encryption.keyCheck(db.encryptionKey).copy(header, KEY_CHECK_OFFSET);
+      header.writeUInt8(db.keyDerivation.kdf, KDF_OFFSET);
+      header.writeUInt32LE(db.keyDerivation.iterations, KDF_ITERATIONS_OFFSET);
+      db.keyDerivation.salt.copy(header, SALT_OFFSET);
+    }
+    if (db.schemaData) {
+      header.writeUInt32LE(db.schemaData.block, SCHEMA_OFFSET);
+    }
+    header.writeUInt32LE(crc32(header, 0, CHECKSUM_OFFSET), CHECKSUM_OFFSET);
+  }
+  return db.journal.write(header, 0, header.length, 0);
+}
+
+// Keeps an item in memory if it is already cached or there is room for it. An
+// item takes as much of the cache as the blocks it is stored in.
+function cacheItem(db, itemData, item) {
+  var blocks = 1 + itemData.overflow.length;
+  if (itemData.cached) {
+    db.cache[itemData.cacheIndex] = item;
+    db.cacheBlocks += blocks - itemData.cacheBlocks;
+    itemData.cacheBlocks = blocks;
+    evictCache(db);
+  } else if (db.blockSize * (db.cacheBlocks + blocks) <= db.maxCacheSize) {
+    itemData.cached = true;
+    itemData.cacheIndex = db.cache.length;
+    itemData.cacheBlocks = blocks;
+    db.cache.push(item);
+    db.cacheBlocks += blocks;
+  }
+}
+
+function uniqueConstraintError(index, item, id) {
+  return new errors.UniqueConstraintError('Unique constraint on ' + index.name + ' violated by _id ' + item._id +
+    ', the value is already used by _id ' + id, {
+    fieldName: index.fieldName,
+    _id: id
+  });
+}
+
+// Throws a UniqueConstraintError before changing any index if the item
+// conflicts with another one
+function indexItem(db, item) {
+  var name;
+  for (name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      var conflict = db.indexes[name].conflict(item);
+      if (conflict !== undefined) {
+        throw uniqueConstraintError(db.indexes[name], item, conflict);
+      }
+    }
+  }
+  for (name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      db.indexes[name].insert(item);
+    }
+  }
+}
+
+function unindexItem(db, id) {
+  for (var name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      db.indexes[name].remove(id);
+    }
+  }
+}
+
+// Picks the cheapest way to reach the items that could match a query. A plan
+// lists the _ids to examine, so their number is its estimated cost:
+//   idLookup    the query names a single _id, which may not be in the database
+//   indexLookup the smallest set of candidates from a secondary index
+//   indexOrder  every item in the order of an ordered index
+//   cacheScan   every item, all of them already in the cache
+//   diskScan    every item, reading the ones that are not cached
+//
+// If options.sort is a spec that an ordered index starts with, the plan can
+// list the _ids in sorted order, and says so with sorted. That is the case for
+// a lookup in that index, and for a walk through the whole index, which is
+// picked when nothing narrows the query down or when a limit needs fewer items
+// than the narrowest lookup gives. A walk does not list its _ids but reads
+// them from the index as planIds asks for them, with its size as the estimate.
+function planQuery(db, query, options) {
+  options = options || {};
+  var id = query._id;
+  if (typeof id === 'string' || typeof id === 'number') {
+    var found = db.items.hasOwnProperty(id);
+    return {
+      type: 'idLookup',
+      ids: found ? [String(id)] : [],
+      estimated: found ? 1 : 0
+    };
+  }
+  var lookup;
+  for (var name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name)) {
+      var index = db.indexes[name];
+      var field = queryFieldOf(index);
+      if (query.hasOwnProperty(field)) {
+        var candidates = index.lookup(query[field], fieldTest(db, query[field]));
+        if (candidates && (!lookup || candidates.length < lookup.ids.length)) {
+          lookup = {
+            type: 'indexLookup',
+            index: name,
+            ids: candidates,
+            estimated: candidates.length
+          };
+        }
+      }
+    }
+  }
+  var order = query.$text === undefined && sortingIndex(db, options.sort);
+  if (order && lookup && lookup.index === order.index.name) {
+    lookup.sorted = true;
+    if (order.direction < 0) {
+      lookup.ids.reverse();
+    }
+    return lookup;
+  }
+  var needed = options.limit === undefined ? Infinity : (options.skip || 0) + options.limit;
+  var walk = order && !order.index.sparse && {
+    type: 'indexOrder',
+    index: order.index.name,
+    estimated: order.index.size(),
+    direction: order.direction,
+    sorted: true
+  };
+  if (walk && (!lookup || lookup.ids.length > needed)) {
+    return walk;
+  }
+  var ids = Object.keys(db.items);
+  if (lookup && lookup.ids.length < ids.length) {
+    return lookup;
+  }
+  return walk || {
+    type: db.cache.length === ids.length ? 'cacheScan' : 'diskScan',
+    ids: ids,
+    estimated: ids.length
+  };
+}
+
+// Returns a function giving the next count _ids of a plan each time it is
+// called, and none once they run out. An index order is walked on from the
+// last entry given, so that only the part of the index read is visited.
+function planIds(db, plan) {
+  var position = 0;
+  if (plan.type !== 'indexOrder') {
+    return function(count) {
+      var ids = plan.ids.slice(position, position + count);
+      position += ids.length;
+      return ids;
+    };
+  }
+  var index = db.indexes[plan.index];
+  var last;
+  return function(count) {
+    var entries = index.walk(last, count, plan.direction);
+    if (entries.length > 0) {
+      last = entries[entries.length - 1];
+    }
+    return entries.map(function(entry) {
+      return entry.id;
+    });
+  };
+}
+
+// Field indexes answer conditions on the field they are named after, ordered
+// indexes on their first field and the text index on $text
+function queryFieldOf(index) {
+  return index.type === 'ordered' ? index.fields[0] : index.name;
+}
+
+// Returns whether a value of a field meets a condition on it
+function fieldTest(db, condition) {
+  return function(value) {
+    return db.matches({
+      value: value
+    }, {
+      value: condition
+    });
+  };
+}
+
+// Returns the ordered index whose fields start with those of a sort spec, and
+// the direction to read it in, if the spec sorts every field the same way
+function sortingIndex(db, sort) {
+  if (sort === null || typeof sort !== 'object') {
+    return undefined;
+  }
+  var fields = Object.keys(sort);
+  var direction = sort[fields[0]];
+  if (fields.length === 0 || (direction !== 1 && direction !== -1)) {
+    return undefined;
+  }
+  for (var i = 1; i < fields.length; i++) {
+    if (sort[fields[i]] !== direction) {
+      return undefined;
+    }
+  }
+  for (var name in db.indexes) {
+    if (db.indexes.hasOwnProperty(name) && db.indexes[name].type === 'ordered' &&
+        startsWith(db.indexes[name].fields, fields)) {
+      return {
+        index: db.indexes[name],
+        direction: direction
+      };
+    }
+  }
+}
+
+function startsWith(list, prefix) {
+  if (prefix.length > list.length) {
+    return false;
+  }
+  for (var i = 0; i < prefix.length; i++) {
+    if (list[i] !== prefix[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function uncacheItem(db, itemData) {
+  if (!itemData.cached) {
+    return;
+  }
+  // Fill the gap with the last item in the cache
+  db.cacheBlocks -= itemData.cacheBlocks;
+  var lastItem = db.cache.pop();
+  if (itemData.cacheIndex < db.cache.length) {
+    db.cache[itemData.cacheIndex] = lastItem;
+    db.items[lastItem._id].cacheIndex = itemData.cacheIndex;
+  }
+  itemData.cached = false;
+  itemData.cacheIndex = -1;
+}
+
+function evictCache(db) {
+  while (db.blockSize * db.cacheBlocks > db.maxCacheSize) {
+    var item = db.cache.pop();
+    var itemData = db.items[item._id];
+    db.cacheBlocks -= itemData.cacheBlocks;
+    itemData.cached = false;
+    itemData.cacheIndex = -1;
+  }
+}
+
+// Counts the blocks of the cached items again after the items were laid out
+// in blocks of another size
+function recountCache(db) {
+  db.cacheBlocks = 0;
+  for (var i = 0; i < db.cache.length; i++) {
+    var itemData = db.items[db.cache[i]._id];
+    itemData.cacheBlocks = 1 + itemData.overflow.length;
+    db.cacheBlocks += itemData.cacheBlocks;
+  }
+  evictCache(db);
+}
+
+// Moves the blocks at the end of the file into the holes left by removed or
+// shrunk items, then truncates the file
+function fillHoles(db, options) {
+  var items = db.items;
+  var blockHoles = db.blockHoles;
+  var numBlocks = db.blocks - Object.keys(blockHoles).length;
+  var targets = [];
+  for (var hole in blockHoles) {
+    if (blockHoles.hasOwnProperty(hole) && hole < numBlocks) {
+      targets.push(parseInt(hole));
+    }
+  }
+  var moves = {};
+  for (var block = numBlocks; block < db.blocks; block++) {
+    if (!blockHoles[block]) {
+      moves[block] = targets.pop();
+    }
+  }
+  var moved = [];
+  for (var id in items) {
+    if (items.hasOwnProperty(id)) {
+      var chain = [items[id].block].concat(items[id].overflow);
+      for (var i = 0; i < chain.length; i++) {
+        if (moves[chain[i]] !== undefined) {
+          moved.push(id);
+          break;
+        }
+      }
+    }
+  }
+  function move(data) {
+    var chain = [data.block].concat(data.overflow);
+    for (var i = 0; i < chain.length; i++) {
+      var to = moves[chain[i]];
+      if (to !== undefined) {
+        chain[i] = to;
+      }
+    }
+    data.block = chain[0];
+    data.overflow = chain.slice(1);
+    return chain;
+  }
+  return Promise.map(moved, function(id) {
+    return getItem(db, id)
+      .then(function(item) {
+        touchItem(db, id);
+        var itemData = items[id];
+        var chain = move(itemData);
+        cacheItem(db, itemData, item);
+        return writeChain(db, encodeItem(db, item), chain);
+      });
+  }, options)
+    .then(function() {
+      var schemaData = db.schemaData;
+      if (schemaData && numBlocks <= Math.max.apply(Math, [schemaData.block].concat(schemaData.overflow))) {
+        return writeChain(db, encodeItem(db, schemaOf(db)), move(schemaData), SCHEMA_BLOCK);
+      }
+    })
+    .then(function() {
+      db.blockHoles = {};
+      db.blocks = numBlocks;
+      // Truncate any extra data from the bottom of the file
+      return db.journal.truncate(db.headerLength + db.blocks * db.blockSize);
+    });
+}
+
+// While a transaction runs, the database can only be used through its handle.
+// A write would wait for the transaction, which may be waiting for the write,
+// and a read would see changes that may still be rolled back.
+function transactionError() {
+  return new errors.TransactionInProgressError('A transaction is running, use its handle until it has finished');
+}
+
+function checkTransaction(db) {
+  if (db.activeTransaction) {
+    throw transactionError();
+  }
+}
+
+function enqueue(db, task) {
+  if (db.activeTransaction) {
+    return Promise.reject(transactionError());
+  }
+  var promise = db.writeQueue.then(task);
+  db.writeQueue = promise.catch(function() {});
+  return promise;
+}
+
+// The share of the file's blocks that are holes
+function fragmentation(db) {
+  if (db.blocks === 0) {
+    return 0;
+  }
+  return Object.keys(db.blockHoles).length / db.blocks;
+}
+
+// Remembers where an item was stored and how it was indexed before the
+// current batch first changed it, so that a failed batch can be undone in memory
+function touchItem(db, id) {
+  var undo = db.undo;
+  if (undo && !undo.items.hasOwnProperty(id)) {
+    var itemData = db.items[id];
+    var entries = {};
+    for (var name in db.indexes) {
+      if (db.indexes.hasOwnProperty(name)) {
+        entries[name] = db.indexes[name].entryOf(id);
+      }
+    }
+    undo.items[id] = {
+      itemData: itemData ? {
+        block: itemData.block,
+        overflow: itemData.overflow.slice()
+      } : undefined,
+      entries: entries
+    };
+  }
+}
+
+function copyData(data) {
+  if (data) {
+    return {
+      block: data.block,
+      overflow: data.overflow.slice()
+    };
+  }
+}
+
+// Puts the item map and block bookkeeping back the way they were before a
+// failed batch. Cached items may have been changed in place, so the cache is
+// dropped and refilled from the restored file as items are read.
+function undoBatch(db) {
+  var undo = db.undo;
+  var items = db.items;
+  db.indexes = undo.indexes;
+  for (var id in undo.items) {
+    if (undo.items.hasOwnProperty(id)) {
+      var previous = undo.items[id].itemData;
+      if (previous) {
+        items[id] = {
+          block: previous.block,
+          overflow: previous.overflow,
+          cached: false,
+          cacheIndex: -1
+        };
+      } else {
+        delete items[id];
+      }
+      var entries = undo.items[id].entries;
+      for (var name in entries) {
+        if (entries.hasOwnProperty(name) && db.indexes.hasOwnProperty(name)) {
+          db.indexes[name].remove(id);
+          if (entries[name] !== undefined) {
+            db.indexes[name].add(id, entries[name]);
+          }
+        }
+      }
+    }
+  }
+  for (var i = 0; i < db.cache.length; i++) {
+    var itemData = items[db.cache[i]._id];
+    if (itemData) {
+      itemData.cached = false;
+      itemData.cacheIndex = -1;
+    }
+  }
+  db.cache = [];
+  db.cacheBlocks = 0;
+  db.blocks = undo.blocks;
+  db.blockHoles = undo.blockHoles;
+  db.indexBlock = undo.indexBlock;
+  db.indexData = undo.indexData;
+  db.schemaData = undo.schemaData;
+}
+
+// Runs work as a single journaled batch. Either all of its changes are
+// committed, or the file and the in-memory state are both rolled back. The
+// header is rewritten as part of every batch so that it never disagrees with
+// the blocks on disk. If an autoCompactThreshold is set and the batch leaves
+// more of the file as holes than that, the file is compacted before the batch
+// commits.
+function runBatch(db, work) {
+  return db.journal.begin()
+    .then(function() {
+      var blockHoles = {};
+      for (var hole in db.blockHoles) {
+        if (db.blockHoles.hasOwnProperty(hole)) {
+          blockHoles[hole] = true;
+        }
+      }
+      var indexes = {};
+      for (var name in db.indexes) {
+        if (db.indexes.hasOwnProperty(name)) {
+          indexes[name] = db.indexes[name];
+        }
+      }
+      db.undo = {
+        items: {},
+        blocks: db.blocks,
+        blockHoles: blockHoles,
+        indexBlock: db.indexBlock,
+        indexData: db.indexData,
+        indexes: indexes,
+        schemaData: copyData(db.schemaData)
+      };
+      releaseIndex(db);
+      var batchResult;
+      return Promise.resolve()
+        .then(work)
+        .then(function(result) {
+          batchResult = result;
+          if (db.autoCompactThreshold !== undefined && fragmentation(db) > db.autoCompactThreshold) {
+            return fillHoles(db);
+          }
+        })
+        .then(function() {
+          return writeHeader(db);
+        })
+        .then(function() {
+          return db.journal.commit();
+        })
+        .then(function() {
+          db.undo = undefined;
+          return batchResult;
+        }, function(error) {
+          return db.journal.rollback()
+            .then(function() {
+              undoBatch(db);
+              db.undo = undefined;
+              throw error;
+            });
+        });
+    });
+}
+
+// Rewrites every item into a new file with the current layout and swaps it in
+// for the database file. Renaming over the old file is atomic, so a crash
+// leaves either the old file or the new one in place.
+function rewrite(db, blockSize) {
+  if (blockSize <= Database.BLOCK_HEADER_LENGTH) {
+    return Promise.reject(new Error('Invalid block size: ' + blockSize + ' must be larger than ' + Database.BLOCK_HEADER_LENGTH));
+  }
+  var fileName = db.fileName + '.rewrite';
+  var items = db.items;
+  var ids = Object.keys(items).sort(function(a, b) {
+    return items[a].block - items[b].block;
+  });
+  var layout = {};
+  // Describes the new file to the block writing functions
+  var target = {
+    version: Database.VERSION,
+    headerLength: Database.HEADER_LENGTH,
+    blockHeaderLength: Database.BLOCK_HEADER_LENGTH,
+    codec: db.codec,
+    encryptionKey: db.encryptionKey,
+    keyDerivation: db.keyDerivation,
+    blockSize: blockSize,
+    blocks: 0,
+    blockHoles: {},
+    indexBlock: NO_BLOCK
+  };
+  return fsOpen(fileName, 'w+')
+    .then(function(fd) {
+      target.fd = fd;
+      target.journal = new Journal(fileName + '.journal', fd);
+      return Promise.mapSeries(ids, function(id) {
+        return getItem(db, id)
+          .then(function(item) {
+            layout[id] = {
+              block: -1,
+              overflow: []
+            };
+            return writeItem(target, item, layout[id]);
+          });
+      });
+    })
+    .then(function() {
+      if (db.schemaData) {
+        target.schemaData = {
+          block: -1,
+          overflow: []
+        };
+        return writeItem(target, schemaOf(db), target.schemaData, SCHEMA_BLOCK);
+      }
+    })
+    .then(function() {
+      return writeHeader(target);
+    })
+    .then(function() {
+      return fsFSync(target.fd);
+    })
+    .then(function() {
+      return fsClose(target.fd);
+    })
+    .then(function() {
+      return fsClose(db.fd);
+    })
+    .then(function() {
+      return fsRename(fileName, db.fileName);
+    })
+    .then(function() {
+      return fsOpen(db.fileName, 'r+');
+    })
+    .then(function(fd) {
+      db.fd = fd;
+      db.journal = new Journal(db.fileName + '.journal', fd);
+      for (var id in layout) {
+        if (layout.hasOwnProperty(id)) {
+          items[id].block = layout[id].block;
+          items[id].overflow = layout[id].overflow;
+        }
+      }
+      db.version = target.version;
+      db.headerLength = target.headerLength;
+      db.blockHeaderLength = target.blockHeaderLength;
+      db.blockSize = blockSize;
+      db.blocks = target.blocks;
+      db.blockHoles = {};
+      db.indexBlock = NO_BLOCK;
+      db.indexData = undefined;
+      db.schemaData = target.schemaData;
+      recountCache(db);
+      return db;
+    });
+}
+
+function readOnlyError() {
+  return new Error('The database was opened with a shared-readonly lock and cannot be changed');
+}
+
+// Queues work to run as a journaled batch once every earlier change has
+// finished. Files from older versions are rewritten before their first change.
+function journaled(db, work) {
+  if (db.readOnly) {
+    return Promise.reject(readOnlyError());
+  }
+  return enqueue(db, function() {
+    var promise = Promise.resolve();
+    if (db.version < Database.VERSION) {
+      var blockSize = db.blockSize;
+      if (blockSize <= Database.BLOCK_HEADER_LENGTH) {
+        blockSize = Database.BLOCK_SIZE_DEFAULT;
+      }
+      promise = rewrite(db, blockSize);
+    }
+    return promise.then(function() {
+      return runBatch(db, work);
+    });
+  });
 }
 
 Database.prototype.load = function(options) {
@@ -321,87 +1733,422 @@ Database.prototype.load = function(options) {
   } else {
     initPromise = Promise.resolve();
   }
-  if (db.copyOf) {
-    initPromise = initPromise.then(function() {
-      return fsCopy(db.copyOf, db.fileName);
-    });
-  }
-  var buffer;
   return initPromise
     .then(function() {
       return fsEnsureFile(db.fileName);
     })
     .then(function() {
-      return fsOpen(db.fileName, 'r+');
+      db.lock = new Lock(db.fileName, db.lockMode);
+      return db.lock.acquire();
+    })
+    .then(function() {
+      var promise = Promise.resolve();
+      if (db.copyOf) {
+        promise = fsCopy(db.copyOf, db.fileName);
+      }
+      return promise
+        .then(function() {
+          return openFile(db, options);
+        })
+        .catch(function(error) {
+          return db.lock.release()
+            .then(function() {
+              throw error;
+            });
+        });
+    });
+};
+
+// A shared-readonly database opens the file for reading only and never writes
+// to it, so it rejects a file with an interrupted batch instead of rolling it
+// back under the other readers
+function openFile(db, options) {
+  var blockSize = db.blockSize;
+  var codec = db.codec;
+  var promise = Promise.resolve();
+  if (!db.readOnly) {
+    // A rewrite that was interrupted never replaced the database file
+    promise = fsRemove(db.fileName + '.rewrite');
+  }
+  return promise
+    .then(function() {
+      return fsOpen(db.fileName, db.readOnly ? 'r' : 'r+');
     })
     .then(function(fd) {
       db.fd = fd;
-      return readHeader(db);
+      db.journal = new Journal(db.fileName + '.journal', fd);
+      if (db.readOnly) {
+        return db.journal.isPending()
+          .then(function(pending) {
+            if (pending) {
+              throw new errors.RecoveryRequiredError('Database ' + db.fileName +
+                ' has an interrupted batch that has to be rolled back by opening it for writing');
+            }
+          });
+      }
+      // Undo any batch that was interrupted before it could commit
+      return db.journal.recover();
     })
     .then(function() {
-      buffer = new Buffer(db.blockSize);
-      return db.iterateOutOfCore(0, function(item, block) {
+      return fsFStat(db.fd);
+    })
+    .then(function(stats) {
+      if (stats.size === 0) {
+        // This is a new database
+        if (!codecs.get(db.codec)) {
+          throw new errors.UnknownCodecError('Unknown codec: ' + db.codec + ' has not been registered', {
+            codec: db.codec
+          });
+        }
+        if (db.readOnly) {
+          return;
+        }
+        return createKey(db)
+          .then(function() {
+            return writeHeader(db);
+          });
+      }
+      return loadFile(db, options);
+    })
+    .catch(function(error) {
+      // A wrong key does not make the file unreadable, so it is never replaced
+      if (db.strict || db.readOnly || error instanceof errors.InvalidKeyError) {
+        var fd = db.fd;
+        db.fd = undefined;
+        db.journal = undefined;
+        var promise = Promise.resolve();
+        if (fd !== undefined) {
+          promise = fsClose(fd);
+        }
+        return promise
+          .then(function() {
+            throw error;
+          });
+      }
+      // Start over with an empty database in place of the unreadable file
+      db.version = Database.VERSION;
+      db.headerLength = Database.HEADER_LENGTH;
+      db.blockHeaderLength = Database.BLOCK_HEADER_LENGTH;
+      db.blockSize = blockSize;
+      db.codec = codec;
+      db.blocks = 0;
+      db.blockHoles = {};
+      db.indexBlock = NO_BLOCK;
+      db.indexData = undefined;
+      db.indexes = {};
+      db.schemaData = undefined;
+      db.items = {};
+      db.cache = [];
+      db.cacheBlocks = 0;
+      return db.journal.truncate(0)
+        .then(function() {
+          return createKey(db);
+        })
+        .then(function() {
+          return writeHeader(db);
+        });
+    });
+}
+
+function loadFile(db, options) {
+  return readHeader(db)
+    .then(function() {
+      return readSchema(db);
+    })
+    .then(function() {
+      return readIndex(db);
+    })
+    .then(function(indexed) {
+      if (indexed) {
+        return;
+      }
+      // Without an up to date index, every block has to be scanned
+      db.indexBlock = NO_BLOCK;
+      return db.iterateOutOfCore(0, function(item, block, overflow) {
         var itemData = {
           block: block,
+          overflow: overflow,
           cached: false,
           cacheIndex: -1
         };
-        if (db.blockSize * (db.cache.length + 1) <= db.maxCacheSize) {
-          itemData.cached = true;
-          itemData.cacheIndex = db.cache.length;
-          db.cache.push(item);
-        }
         db.items[item._id] = itemData;
+        cacheItem(db, itemData, item);
+        indexItem(db, item);
         return true;
-      }, options);
+      }, options)
+        .then(function() {
+          findHoles(db);
+        });
+    });
+}
+
+// Finds the layout of a file for repair. The header is used if it is intact,
+// otherwise the block size that gives the most valid blocks is used.
+function detectLayout(source, size) {
+  var header = new Buffer(Database.HEADER_LENGTH);
+  header.fill(0);
+  return fsRead(source.fd, header, 0, header.length, 0)
+    .then(function() {
+      var version = header.readUInt8(4);
+      var blockSize = header.readUInt32LE(10);
+      if (header.toString('utf8', 0, 4) === 'jinn' && version >= 1 && version <= Database.VERSION &&
+          (version < 3 || crc32(header, 0, CHECKSUM_OFFSET) === header.readUInt32LE(CHECKSUM_OFFSET)) && blockSize > blockHeaderLengths[version]) {
+        source.version = version;
+        source.headerLength = version === 1 ? Database.LEGACY_HEADER_LENGTH : Database.HEADER_LENGTH;
+        source.blockHeaderLength = blockHeaderLengths[version];
+        source.codec = readCodecName(header, version);
+        source.header = header;
+        source.blockSize = blockSize;
+        source.blocks = Math.floor(Math.max(size - source.headerLength, 0) / blockSize);
+        return true;
+      }
+      source.version = Database.VERSION;
+      source.headerLength = Database.HEADER_LENGTH;
+      source.blockHeaderLength = Database.BLOCK_HEADER_LENGTH;
+      var candidates = [];
+      for (var candidate = 16; candidate <= 65536; candidate *= 2) {
+        candidates.push(candidate);
+      }
+      var best = 0;
+      blockSize = Database.BLOCK_SIZE_DEFAULT;
+      return Promise.mapSeries(candidates, function(candidate) {
+        source.blockSize = candidate;
+        source.blocks = Math.floor((size - source.headerLength) / candidate);
+        var blocks = [];
+        for (var block = 0; block < Math.min(source.blocks, 64); block++) {
+          blocks.push(block);
+        }
+        var valid = 0;
+        return Promise.map(blocks, function(block) {
+          return readBlock(source, block)
+            .then(function() {
+              valid++;
+            }, function() {});
+        })
+          .then(function() {
+            if (valid > best) {
+              best = valid;
+              blockSize = candidate;
+            }
+          });
+      })
+        .then(function() {
+          source.blockSize = blockSize;
+          source.blocks = Math.floor(Math.max(size - source.headerLength, 0) / blockSize);
+          return false;
+        });
+    });
+}
+
+// Finds the key to read the records of a file being repaired. Without an
+// intact header saying how it was derived, only a Buffer key can be used.
+function repairKey(source) {
+  var header = source.header;
+  if (source.keySource === undefined) {
+    return Promise.resolve();
+  }
+  if (header && source.version >= 3 && (header.readUInt8(5) & ENCRYPTED_FLAG)) {
+    return readKey(source, header);
+  }
+  if (!Buffer.isBuffer(source.keySource)) {
+    return Promise.reject(new errors.InvalidKeyError('The header does not record a salt, so the key cannot be derived from a passphrase'));
+  }
+  source.encryptionKey = source.keySource;
+  return Promise.resolve();
+}
+
+// The codec name is lost along with the header, so use whichever registered
+// codec the first readable record can be decoded with
+function detectCodec(source) {
+  var block = 0;
+  var names = codecs.names();
+  source.codec = 'smaz';
+  function tryCodecs(current, index) {
+    if (index >= names.length) {
+      source.codec = 'smaz';
+      return tryNextBlock();
+    }
+    source.codec = names[index];
+    return readRecord(source, current)
+      .catch(function() {
+        return tryCodecs(current, index + 1);
+      });
+  }
+  function tryNextBlock() {
+    if (block >= source.blocks) {
+      return;
+    }
+    var current = block++;
+    return readRecord(source, current)
+      .then(function(record) {
+        if (!record) {
+          return tryNextBlock();
+        }
+      }, function(error) {
+        if (!(error instanceof errors.RecordParseError)) {
+          return tryNextBlock();
+        }
+        return tryCodecs(current, 0);
+      });
+  }
+  return Promise.resolve(tryNextBlock());
+}
+
+// Copies every record that can still be read from a damaged database file
+// into a new file, which defaults to the same name with '.repaired' added.
+// Resolves to a report listing the blocks that could not be recovered. Pass
+// the encryptionKey option to repair an encrypted file. A passphrase needs the
+// salt from the header, so a file whose header is lost can only be repaired
+// with a Buffer key.
+Database.repair = function(fileName, options) {
+  options = defaults(options, {
+    fileName: fileName + '.repaired',
+    chunkSize: 1000
+  });
+  var source = {
+    keySource: encryption.checkKey(options.encryptionKey)
+  };
+  var target;
+  var blocks = [];
+  var report = {
+    fileName: options.fileName,
+    recovered: 0,
+    corruptBlocks: []
+  };
+  function readRecords(chunk) {
+    var items = [];
+    return Promise.map(chunk, function(block) {
+      return readRecord(source, block)
+        .then(function(record) {
+          if (record) {
+            items.push(record.item);
+          }
+        }, function(error) {
+          report.corruptBlocks.push({
+            block: block,
+            message: error.message
+          });
+        });
+    }, {
+      concurrency: 4
     })
-    .catch(function() {
-      return writeHeader(db);
+      .then(function() {
+        report.recovered += items.length;
+        if (items.length > 0) {
+          return target.insert(items);
+        }
+      });
+  }
+  return fsOpen(fileName, 'r')
+    .then(function(fd) {
+      source.fd = fd;
+      return fsFStat(fd);
+    })
+    .then(function(stats) {
+      return detectLayout(source, stats.size);
+    })
+    .then(function(trusted) {
+      return repairKey(source)
+        .then(function() {
+          if (!trusted) {
+            return detectCodec(source);
+          }
+        });
+    })
+    .then(function() {
+      return fsRemove(options.fileName);
+    })
+    .then(function() {
+      var blockSize = source.blockSize;
+      if (blockSize <= Database.BLOCK_HEADER_LENGTH) {
+        blockSize = Database.BLOCK_SIZE_DEFAULT;
+      }
+      target = new Database({
+        fileName: options.fileName,
+        blockSize: blockSize,
+        codec: source.codec,
+        encryptionKey: options.encryptionKey
+      });
+      return target.load();
+    })
+    .then(function() {
+      for (var block = 0; block < source.blocks; block++) {
+        blocks.push(block);
+      }
+      var chunks = [];
+      for (var i = 0; i < blocks.length; i += options.chunkSize) {
+        chunks.push(blocks.slice(i, i + options.chunkSize));
+      }
+      return Promise.mapSeries(chunks, readRecords);
+    })
+    .then(function() {
+      return target.close();
+    })
+    .then(function() {
+      return fsClose(source.fd);
+    })
+    .then(function() {
+      report.corruptBlocks.sort(function(a, b) {
+        return a.block - b.block;
+      });
+      return report;
     });
 };
 
 Database.prototype.close = function() {
   var db = this;
-  db.items = {};
-  db.cache = [];
-  return writeHeader(db)
+  return enqueue(db, function() {
+    if (db.indexData || db.version < Database.VERSION || db.readOnly) {
+      // Nothing has changed since the file was written
+      return;
+    }
+    return runBatch(db, function() {
+      return writeIndex(db);
+    });
+  })
     .then(function() {
+      db.items = {};
+      db.cache = [];
+      db.cacheBlocks = 0;
+      db.indexData = undefined;
+      db.indexes = {};
+      db.schemaData = undefined;
       var fd = db.fd;
       db.fd = undefined;
+      db.journal = undefined;
       return fsClose(fd);
-  });
+    })
+    .then(function() {
+      return db.lock.release();
+    });
 };
 
+// Visits the records from startBlock up to options.endBlock, or the end of the
+// file, until the handler returns false
 Database.prototype.iterateOutOfCore = function(startBlock, handler, options) {
   var db = this;
-  var buffers = [];
-  var freeBuffers = [];
   var cancelled = false;
   var index = startBlock;
+  var endBlock = options && options.endBlock;
   var iterable = {};
   iterable[Symbol.iterator] = function() {
     return {
       next: function() {
         return {
-          done: index >= db.blocks || cancelled,
+          done: index >= db.blocks || index >= endBlock || cancelled,
           value: index++
         };
       }
     };
   };
   return Promise.map(iterable, function(block) {
-    var buffer;
-    var bufferIndex = freeBuffers.pop();
-    if (bufferIndex === undefined) {
-      buffer = new Buffer(db.blockSize);
-    } else {
-      buffer = buffers.splice(bufferIndex, 1);
+    if (cancelled) {
+      return;
     }
-    return readFromBlock(db, block, buffer)
-      .then(function(item) {
-        freeBuffers.push(buffers.length);
-        buffers.push(buffer);
-        if (!cancelled && !handler(item, block)) {
+    return readRecord(db, block)
+      .then(function(record) {
+        // Overflow and free blocks are skipped, they are read as part of a record
+        if (record && !cancelled && !handler(record.item, block, record.overflow)) {
           cancelled = true;
         }
       });
@@ -412,46 +2159,347 @@ Database.prototype.iterateOutOfCore = function(startBlock, handler, options) {
 };
 
 Database.prototype.iterate = function(handler, options) {
-  var items = this.items;
-  var cache = this.cache;
-  var stopped = false;
-  for (var id in items) {
-    if (items.hasOwnProperty(id)) {
-      var item = items[id];
-      if (item.cached) {
-        if (!handler(cache[item.cacheIndex])) {
-          stopped = true;
-          break;
-        }
+  var db = this;
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      return iterateIds(db, Object.keys(db.items), handler, options);
+    });
+};
+
+// Visits the items with the given _ids, cached items first. Only
+// options.concurrency items are read from disk at a time, so that once handler
+// returns false no more reads are started. The number of blocks read from disk
+// is added to stats.blocksRead if stats is given.
+function iterateIds(db, ids, handler, options, stats) {
+  options = defaults(options, {
+    concurrency: 4
+  });
+  var items = db.items;
+  var cache = db.cache;
+  var uncached = [];
+  for (var i = 0; i < ids.length; i++) {
+    var id = ids[i];
+    var itemData = items[id];
+    if (!itemData) {
+      continue;
+    }
+    if (itemData.cached) {
+      if (!handler(cache[itemData.cacheIndex])) {
+        return Promise.resolve(false);
       }
+    } else {
+      uncached.push(id);
+    }
+  }
+  // Read the remaining items from disk in the order they are stored
+  uncached.sort(function(a, b) {
+    return items[a].block - items[b].block;
+  });
+  var cancelled = false;
+  return Promise.map(uncached, function(id) {
+    if (cancelled || !items[id]) {
+      return;
+    }
+    var itemData = items[id];
+    if (stats) {
+      stats.blocksRead += 1 + itemData.overflow.length;
+    }
+    return readItem(db, itemData)
+      .then(function(item) {
+        if (items[id] === itemData) {
+          cacheItem(db, itemData, item);
+        }
+        if (!cancelled && !handler(item)) {
+          cancelled = true;
+        }
+      });
+  }, options)
+    .then(function() {
+      return !cancelled;
+    });
+}
+
+// Visits the items with the _ids that nextIds gives, in that order. They are
+// read a window at a time, no more than needed() says are still needed, so
+// that the items after the last one needed are not read.
+function iterateInOrder(db, nextIds, handler, needed, stats) {
+  function nextWindow() {
+    var window = nextIds(Math.max(1, Math.min(needed(), 64)));
+    if (window.length === 0) {
+      return Promise.resolve(true);
     }
+    var items = {};
+    return iterateIds(db, window, function(item) {
+      items[item._id] = item;
+      return true;
+    }, undefined, stats)
+      .then(function() {
+        for (var i = 0; i < window.length; i++) {
+          if (items.hasOwnProperty(window[i]) && !handler(items[window[i]])) {
+            return false;
+          }
+        }
+        return nextWindow();
+      });
   }
-  if (this.blocks > cache.length) {
-    return this.iterateOutOfCore(cache.length, handler, options);
+  return nextWindow();
+}
+
+// Walks every block in the file and reports records that fail their checksum
+// or cannot be decoded, _id values that are stored in more than one record,
+// and whether the number of blocks in the file matches the header.
+Database.prototype.verify = function(options) {
+  var db = this;
+  options = defaults(options, {
+    concurrency: 4
+  });
+  var report = {
+    valid: true,
+    headerBlocks: db.blocks,
+    fileBlocks: 0,
+    corruptBlocks: [],
+    duplicateIds: []
+  };
+  var ids = {};
+  function corrupt(block, error) {
+    report.corruptBlocks.push({
+      block: block,
+      message: error.message
+    });
   }
-  return Promise.resolve(!stopped);
+  return enqueue(db, function() {
+    return fsFStat(db.fd)
+      .then(function(stats) {
+        if (db.blockSize > 0) {
+          report.fileBlocks = Math.floor(Math.max(stats.size - db.headerLength, 0) / db.blockSize);
+        }
+        var blocks = [];
+        for (var block = 0; block < Math.min(report.fileBlocks, db.blocks); block++) {
+          blocks.push(block);
+        }
+        return Promise.map(blocks, function(block) {
+          var promise;
+          if (db.version < 2) {
+            promise = Promise.resolve(RECORD_BLOCK);
+          } else {
+            promise = readBlock(db, block)
+              .then(function(data) {
+                if (data.type !== RECORD_BLOCK && data.type !== OVERFLOW_BLOCK && data.type !== INDEX_BLOCK &&
+                    data.type !== TOMBSTONE_BLOCK && data.type !== SCHEMA_BLOCK) {
+                  throw new errors.CorruptBlockError('Invalid type ' + data.type + ' in block ' + block, {
+                    block: block
+                  });
+                }
+                return data.type;
+              });
+          }
+          return promise
+            .then(function(type) {
+              if (type === RECORD_BLOCK) {
+                return readRecord(db, block)
+                  .then(function(record) {
+                    var id = record.item._id;
+                    ids[id] = ids[id] || [];
+                    ids[id].push(block);
+                  });
+              }
+            })
+            .catch(function(error) {
+              corrupt(block, error);
+            });
+        }, options);
+      })
+      .then(function() {
+        for (var id in ids) {
+          if (ids.hasOwnProperty(id) && ids[id].length > 1) {
+            report.duplicateIds.push({
+              _id: id,
+              blocks: ids[id].sort(function(a, b) {
+                return a - b;
+              })
+            });
+          }
+        }
+        report.corruptBlocks.sort(function(a, b) {
+          return a.block - b.block;
+        });
+        report.valid = report.corruptBlocks.length === 0 && report.duplicateIds.length === 0 &&
+          report.fileBlocks === report.headerBlocks;
+        return report;
+      });
+  });
+};
+
+// Copies a whole file to fileName through a temporary file that is synced
+// and then renamed into place, so fileName is never left half written
+function copyFile(fromFd, fileName) {
+  var tempFileName = fileName + '.tmp';
+  var buffer = new Buffer(COPY_CHUNK_SIZE);
+  var position = 0;
+  var toFd;
+  function copyChunk() {
+    return fsRead(fromFd, buffer, 0, buffer.length, position)
+      .then(function(bytesRead) {
+        if (bytesRead === 0) {
+          return;
+        }
+        return fsWrite(toFd, buffer, 0, bytesRead, position)
+          .then(function() {
+            position += bytesRead;
+            return copyChunk();
+          });
+      });
+  }
+  return fsOpen(tempFileName, 'w')
+    .then(function(fd) {
+      toFd = fd;
+      return copyChunk();
+    })
+    .then(function() {
+      return fsFSync(toFd);
+    })
+    .finally(function() {
+      if (toFd !== undefined) {
+        return fsClose(toFd);
+      }
+    })
+    .then(function() {
+      return fsRename(tempFileName, fileName);
+    }, function(error) {
+      return fsRemove(tempFileName)
+        .then(function() {
+          throw error;
+        });
+    });
+}
+
+// Copies the database to fileName while it stays open. The copy is made
+// between batches, so it holds every change that committed before backup()
+// was called and none that came after. Writes wait for the copy to finish.
+Database.prototype.backup = function(fileName) {
+  var db = this;
+  return enqueue(db, function() {
+    return copyFile(db.fd, fileName);
+  });
+};
+
+// Verifies the backup at backupFileName and then copies it over the database
+// at fileName. Rejects with a Database.DatabaseLockedError if fileName is open,
+// in this process or another, and with a Database.InvalidBackupError if the
+// backup does not load or verify, leaving fileName untouched either way.
+// Resolves to the verification report. Pass encryptionKey to restore an
+// encrypted backup.
+Database.restore = function(backupFileName, fileName, options) {
+  options = defaults(options, {});
+  var backup = new Database({
+    fileName: backupFileName,
+    encryptionKey: options.encryptionKey,
+    lock: Lock.SHARED_READONLY
+  });
+  var lock = new Lock(fileName, Lock.EXCLUSIVE);
+  var report;
+  return fsStat(backupFileName)
+    .then(function() {
+      return backup.load()
+        .catch(function(error) {
+          throw new errors.InvalidBackupError('Backup ' + backupFileName + ' could not be loaded: ' + error.message, {
+            cause: error
+          });
+        });
+    })
+    .then(function() {
+      return backup.verify();
+    })
+    .then(function(backupReport) {
+      report = backupReport;
+      if (!report.valid) {
+        throw new errors.InvalidBackupError('Backup ' + backupFileName + ' failed verification', {
+          report: report
+        });
+      }
+      return fsEnsureFile(fileName);
+    })
+    .then(function() {
+      return lock.acquire();
+    })
+    .then(function() {
+      return fsOpen(backupFileName, 'r')
+        .then(function(fd) {
+          return copyFile(fd, fileName + '.restore')
+            .finally(function() {
+              return fsClose(fd);
+            });
+        })
+        .then(function() {
+          return fsOpen(fileName, 'r+');
+        })
+        .then(function(fd) {
+          // An interrupted batch in the old file would otherwise be rolled
+          // back onto the restored one by the next load
+          return new Journal(fileName + '.journal', fd).recover()
+            .finally(function() {
+              return fsClose(fd);
+            });
+        })
+        .then(function() {
+          return fsRename(fileName + '.restore', fileName);
+        })
+        .finally(function() {
+          return lock.release();
+        });
+    })
+    .then(function() {
+      return report;
+    })
+    .finally(function() {
+      if (backup.fd !== undefined) {
+        return backup.close();
+      }
+    });
 };
 
+// Returns the operator a $ key names, throwing if there is none, or undefined
+// for a field name
+function operatorOf(operators, key, kind) {
+  if (key.charAt(0) !== '$') {
+    return undefined;
+  }
+  var operator = operators[key];
+  if (typeof operator !== 'function') {
+    throw new Error('Unknown ' + kind + ' operator: ' + key);
+  }
+  return operator;
+}
+
+function testRegExp(regExp) {
+  return function(value) {
+    return regExp.test('' + value);
+  };
+}
+
+// Fields holding an array match a value if any of their elements does
 Database.prototype.matches = function(item, query) {
   for (var key in query) {
     if (query.hasOwnProperty(key)) {
       var queryValue = query[key];
-      var itemValue = item[key];
+      var itemValue = paths.get(item, key);
       var operation = false;
-      var operator = this.queryOperators[key];
+      var operator = operatorOf(this.queryOperators, key, 'query');
       if (operator) {
         if (!operator.call(this, item, queryValue)) {
           return false;
         }
         operation = true;
       } else if (itemValue && queryValue instanceof RegExp) {
-        if (!queryValue.test('' + itemValue)) {
+        if (!someElement(itemValue, testRegExp(queryValue))) {
           return false;
         }
+        operation = true;
       } else if (typeof queryValue === 'object') {
         for (var operatorKey in queryValue) {
           if (queryValue.hasOwnProperty(operatorKey)) {
-            operator = this.operators[operatorKey];
+            operator = operatorOf(this.operators, operatorKey, 'query');
             var value = queryValue[operatorKey];
             if (operator) {
               if (!operator.call(this, itemValue, value)) {
@@ -462,7 +2510,7 @@ Database.prototype.matches = function(item, query) {
           }
         }
       }
-      if (!operation && !deepEqual(queryValue, itemValue)) {
+      if (!operation && !valueEquals(itemValue, queryValue)) {
         return false;
       }
     }
@@ -470,147 +2518,385 @@ Database.prototype.matches = function(item, query) {
   return true;
 };
 
-function addToResults(item, query, results, options) {
-  options = defaults(options, {});
-  item = clone(item);
-  if (options.projections) {
-    var projections = options.projections;
-    var keys = Object.keys(item);
-    for (var i = 0; i < keys.length; i++) {
-      var key = keys[i];
-      var projection = projections[key];
-      if (!projection && (key !== '_id' || projection === false)) {
-        delete item[key];
-      }
+// Projects an item without changing it, sharing the fields it keeps
+function projectItem(db, item, projection, metaOf) {
+  return projections.project(item, projection, {
+    metaOf: metaOf,
+    elementMatches: function(element, condition) {
+      return elementMatches(db, element, condition);
+    }
+  });
+}
+
+// Runs a query with the plan picked for it, counting the items examined and
+// the blocks read in stats if it is given.
+//
+// Without a sort, the first skip + limit matches are all that is needed. With
+// one, every match is sorted, or a heap keeps the lowest skip + limit of them
+// if there is a limit. Matches are numbered as they are found, so that ties
+// keep that order, and only the ones returned are cloned. If an ordered index
+// gives the plan in sorted order, the items are read in that order instead and
+// reading stops once skip + limit matches are found.
+//
+// A $text query scores each match, which can be projected and sorted by as
+// {$meta: 'textScore'}. Without a sort, the best matches come first.
+function findItems(db, query, options, stats) {
+  options = defaults(options, {
+    skip: 0
+  });
+  var scores = {};
+  var textIndex;
+  if (query.$text !== undefined) {
+    textIndex = textIndexOf(db);
+    if (options.sort === undefined) {
+      options.sort = {
+        score: {
+          $meta: 'textScore'
+        }
+      };
+    }
+  }
+  function metaOf(item) {
+    return scores[item._id];
+  }
+  var projection = options.projections && projections.compile(options.projections);
+  var matches = [];
+  var heap;
+  var compare;
+  var count = options.limit === undefined ? Infinity : options.skip + options.limit;
+  // If the query is id based, the first match is the only match
+  if (typeof query._id === 'string' && query._id.indexOf('$') < 0) {
+    count = Math.min(count, options.skip + 1);
+  }
+  if (options.sort !== undefined) {
+    var compareItems = sorting.comparator(options.sort, metaOf);
+    compare = function(a, b) {
+      return compareItems(a.item, b.item) || a.order - b.order;
+    };
+  }
+  var plan = planQuery(db, query, options);
+  if (stats) {
+    stats.plan = plan.type;
+    stats.index = plan.index;
+    stats.estimated = plan.estimated;
+  }
+  if (plan.sorted) {
+    compare = undefined;
+  } else if (compare && count !== Infinity) {
+    heap = new Heap(compare, count);
+  }
+  var order = 0;
+  var handler = function(item) {
+    if (stats) {
+      stats.examined++;
+    }
+    if (!db.matches(item, query)) {
+      return true;
+    }
+    if (textIndex) {
+      scores[item._id] = textIndex.score(item, query.$text);
+    }
+    var match = {
+      item: item,
+      order: order++
+    };
+    if (heap) {
+      heap.push(match);
+      return true;
+    }
+    matches.push(match);
+    return compare !== undefined || matches.length < count;
+  };
+  if (count === 0) {
+    return Promise.resolve([]);
+  }
+  var promise = plan.sorted ? iterateInOrder(db, planIds(db, plan), handler, function() {
+    return count - matches.length;
+  }, stats) : iterateIds(db, plan.ids, handler, undefined, stats);
+  return promise
+    .then(function() {
+      if (heap) {
+        matches = heap.toArray();
+      } else if (compare) {
+        matches.sort(compare);
+      }
+      var results = [];
+      for (var i = options.skip; i < matches.length && i < count; i++) {
+        var item = matches[i].item;
+        results.push(clone(projection ? projectItem(db, item, projection, metaOf) : item));
+      }
+      return results;
+    });
+}
+
+Database.prototype.find = function(query, options) {
+  var db = this;
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      return findItems(db, query, options);
+    });
+};
+
+// Resolves to the first match in the order given by options.sort, or undefined
+Database.prototype.findOne = function(query, options) {
+  options = defaults({
+    limit: 1
+  }, options || {});
+  return this.find(query, options)
+    .then(function(results) {
+      return results[0];
+    });
+};
+
+// Resolves to the number of matches, without reading anything if the query
+// matches every item
+Database.prototype.count = function(query) {
+  var db = this;
+  query = query || {};
+  var count = 0;
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      if (Object.keys(query).length === 0) {
+        count = Object.keys(db.items).length;
+        return;
+      }
+      return iterateIds(db, planQuery(db, query).ids, function(item) {
+        if (db.matches(item, query)) {
+          count++;
+        }
+        return true;
+      });
+    })
+    .then(function() {
+      return count;
+    });
+};
+
+// Resolves to the different values of a field among the matches, in the order
+// they are found. The elements of an array are counted as values of their own,
+// and matches without the field are left out.
+Database.prototype.distinct = function(fieldName, query) {
+  var db = this;
+  query = query || {};
+  var found = {};
+  var values = [];
+  function addValue(value) {
+    var key = typeof value + ':' + JSON.stringify(value);
+    if (!found.hasOwnProperty(key)) {
+      found[key] = true;
+      values.push(clone(value));
     }
   }
-  results.push(item);
-  if (query._id !== undefined && typeof query._id === 'string' && query._id.indexOf('$') < 0) {
-    // If the query is id based, the first match is the only match
-    return false;
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      return iterateIds(db, planQuery(db, query).ids, function(item) {
+        if (db.matches(item, query)) {
+          var value = paths.get(item, fieldName);
+          if (Array.isArray(value)) {
+            value.forEach(addValue);
+          } else if (value !== undefined) {
+            addValue(value);
+          }
+        }
+        return true;
+      });
+    })
+    .then(function() {
+      return values;
+    });
+};
+
+// Runs an aggregation pipeline over the items, reading them a few at a time.
+// A $match at the start of the pipeline picks the items to read like find does.
+Database.prototype.aggregate = function(stages) {
+  var db = this;
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      var pipeline = new Pipeline(db, stages);
+      var query = stages.length > 0 && stages[0].$match || {};
+      return iterateIds(db, planQuery(db, query).ids, function(item) {
+        return pipeline.push(item);
+      }, {
+        concurrency: 4
+      })
+        .then(function() {
+          return pipeline.end();
+        });
+    });
+};
+
+// Runs a query like find and resolves to how it was answered: the plan that
+// was picked, the index it used, how many items it expected to examine and
+// actually examined, how many blocks were read from disk, how many items were
+// found and how long it took in milliseconds.
+Database.prototype.explain = function(query, options) {
+  var stats = {
+    plan: undefined,
+    index: undefined,
+    estimated: 0,
+    examined: 0,
+    blocksRead: 0,
+    returned: 0,
+    elapsed: 0
+  };
+  var db = this;
+  var start = Date.now();
+  return Promise.resolve()
+    .then(function() {
+      checkTransaction(db);
+      return findItems(db, query, options, stats);
+    })
+    .then(function(results) {
+      stats.returned = results.length;
+      stats.elapsed = Date.now() - start;
+      return stats;
+    });
+};
+
+Database.prototype.resize = function(blockSize) {
+  var db = this;
+  if (db.readOnly) {
+    return Promise.reject(readOnlyError());
   }
-  else if (options.limit !== undefined) {
-    if (results.length === options.limit && !options.sort) {
-      return false;
-    }
-    else if (results.length > options.limit) {
-      results.sort(options.sort);
-      results.pop();
+  return enqueue(db, function() {
+    if (blockSize === db.blockSize && db.version === Database.VERSION) {
+      return db;
     }
-  }
-  return true;
-}
+    return rewrite(db, blockSize);
+  });
+};
 
-Database.prototype.find = function(query, options) {
-  var results = [];
+// Moves live blocks into the holes left by removed and shrunk items and
+// truncates the file. Resolves to the number of blocks reclaimed.
+Database.prototype.compact = function() {
   var db = this;
-  var id = query._id;
-  if (id !== undefined && db.items[id]) {
-    var itemData = db.items[id];
-    var singleItemPromise;
-    if (itemData.cached) {
-      singleItemPromise = Promise.resolve(db.cache[itemData.cacheIndex]);
-    } else {
-      singleItemPromise = readFromBlock(db, db.items[id].block);
+  return journaled(db, function() {
+    var blocks = db.blocks;
+    var promise = Promise.resolve();
+    if (Object.keys(db.blockHoles).length > 0) {
+      promise = fillHoles(db);
     }
-    return singleItemPromise
-      .then(function(result) {
-        results.push(result);
-        return results;
-      });
+    return promise.then(function() {
+      return blocks - db.blocks;
+    });
+  });
+};
+
+// Creates a secondary index on options.fieldName from the items already in
+// the database. The index is kept up to date by every change, saved with the
+// file, and used by find, update and remove for equality and $in conditions on
+// that field. Items without the field are left out of a sparse index.
+//
+// With unique set, insert and update reject a change that would give two items
+// the same value with a UniqueConstraintError, and so does ensureIndex if the
+// items already break the constraint. fieldName may be an array of fields to
+// make their combined values unique.
+//
+// With ordered set, the index keeps the values in order instead, so it also
+// answers $gt, $gte, $lt and $lte on its first field by seeking to the values in
+// range, and find reads the items in its order for a sort spec that starts
+// with its fields, all ascending or all descending. An index that already
+// exists on the same fields is kept as it is.
+Database.prototype.ensureIndex = function(options) {
+  var db = this;
+  var fieldName = options && options.fieldName;
+  var valid = typeof fieldName === 'string' || (Array.isArray(fieldName) && fieldName.length > 0 &&
+    fieldName.every(function(field) {
+      return typeof field === 'string';
+    }));
+  if (!valid) {
+    return Promise.reject(new Error('ensureIndex requires a fieldName or an array of them'));
   }
-  return this.iterate(function(item) {
-    if (db.matches(item, query)) {
-      return addToResults(item, query, results, options);
+  return journaled(db, function() {
+    var index = options.ordered ? new OrderedIndex(fieldName, options) : new Index(fieldName, options);
+    if (index.name === '_id' || db.indexes.hasOwnProperty(index.name)) {
+      return;
     }
-    return true;
-  }).then(function() {
-    return results;
+    return buildIndex(db, index);
   });
 };
 
-function nextPowerOfTwo(num) {
-  return Math.pow(2,Math.ceil(Math.log(num)/Math.log(2)));
+function buildIndex(db, index) {
+  return db.iterate(function(item) {
+    var conflict = index.conflict(item);
+    if (conflict !== undefined) {
+      throw uniqueConstraintError(index, item, conflict);
+    }
+    index.insert(item);
+    return true;
+  })
+    .then(function() {
+      db.indexes[index.name] = index;
+      return writeSchema(db);
+    });
 }
 
-Database.prototype.resize = function(blockSize, options) {
-  options = defaults(options, {
-    concurrency: 1,
-  });
+// Creates the full-text index used by $text queries over the string fields
+// listed, or over a single field. Words are split into terms, leaving out stop
+// words and stemming them in the index's language: 'english' by default, or
+// 'none' to keep every word as it is. There can only be one text index, and
+// removeIndex('$text') removes it.
+Database.prototype.ensureTextIndex = function(fields, options) {
   var db = this;
-  var cache = this.cache;
-  var items = this.items;
-  var i;
-  var buffer = new Buffer(blockSize);
-  if (blockSize !== this.blockSize) {
-    var handleFileIO;
-    if (db.blocks > cache.length) {
-      // The whole database is not in memory, so some on-disk rewriting is required
-      blankEntry(buffer);
-      var moveIndices = [];
-      if (blockSize > db.blockSize) {
-        // The block size has increased, move the entries starting from the bottom
-        for (i = db.blocks - 1; i >= cache.length; i--) {
-          moveIndices.push(i);
-        }
-      } else {
-        // The block size has decreased, move the entries starting from the top
-        for (i = cache.length; i < db.blocks; i++) {
-          moveIndices.push(i);
-        }
+  var valid = typeof fields === 'string' || (Array.isArray(fields) && fields.length > 0 &&
+    fields.every(function(field) {
+      return typeof field === 'string';
+    }));
+  if (!valid) {
+    return Promise.reject(new Error('ensureTextIndex requires a field or an array of them'));
+  }
+  return journaled(db, function() {
+    var index = new TextIndex(fields, options);
+    var existing = db.indexes[TextIndex.NAME];
+    if (existing) {
+      if (!deepEqual(existing.definition(), index.definition(), {strict: true})) {
+        throw new Error('There is already a text index on ' + existing.fields.join(', ') +
+          ', remove it with removeIndex(\'$text\') first');
       }
-      handleFileIO = Promise.mapSeries(moveIndices, function(index) {
-        return readBufferFromBlock(db, index, buffer, Math.min(db.blockSize, buffer.length))
-          .then(function() {
-            return writeBufferToBlock(db, index, buffer, blockSize);
-          })
-          .then(function() {
-            blankEntry(buffer);
-          });
-      }, options)
-        .then(function() {
-          if (blockSize <= db.blockSize) {
-            // The file needs to be truncated to delete hanging characters
-            return fsFTruncate(db.fd, db.headerLength + db.blocks * blockSize);
-          }
-        });
-    } else {
-      handleFileIO = Promise.resolve();
+      return;
     }
-    return handleFileIO.then(function() {
-      // All of the remaining data is in memory, just write it back
-      return Promise.map(cache, function(item) {
-        var itemData = items[item._id];
-        return writeToBlock(db, itemData.block, item, buffer, blockSize);
-      }, options);
-    })
-    .then(function() {
-      db.blockSize = blockSize;
-      // Resize the cache if we now exceed maxCacheSize
-      while (db.blockSize * db.cache.length > db.maxCacheSize) {
-        var item = db.cache.pop();
-        var itemData = db.items[item._id];
-        itemData.cached = false;
-        itemData.cacheIndex = -1;
-      }
-      return db;
-    });
-  } else {
-    return Promise.resolve(db);
-  }
+    return buildIndex(db, index);
+  });
+};
+
+Database.prototype.removeIndex = function(fieldName) {
+  var db = this;
+  var name = Index.nameOf(fieldName);
+  return journaled(db, function() {
+    if (!db.indexes.hasOwnProperty(name)) {
+      return;
+    }
+    delete db.indexes[name];
+    if (Object.keys(db.indexes).length > 0) {
+      return writeSchema(db);
+    }
+    // Without any indexes the schema is not needed
+    var schemaData = db.schemaData;
+    db.blockHoles[schemaData.block] = true;
+    for (var i = 0; i < schemaData.overflow.length; i++) {
+      db.blockHoles[schemaData.overflow[i]] = true;
+    }
+    db.schemaData = undefined;
+  });
 };
 
 Database.prototype.insert = function(item, options) {
-  var items = this.items;
-  var cache = this.cache;
-  var blocks = this.blocks;
   var db = this;
+  return journaled(db, function() {
+    return insertItem(db, item, options);
+  });
+};
+
+function insertItem(db, item, options) {
+  var items = db.items;
 
   if (Array.isArray(item)) {
-    return Promise.map(item, function(subItem) {
-      return db.insert(subItem, options);
-    }, {
-      concurrency: 1
+    return Promise.mapSeries(item, function(subItem) {
+      return insertItem(db, subItem, options);
     });
   }
 
@@ -620,217 +2906,427 @@ Database.prototype.insert = function(item, options) {
   } else {
     item._id = uuid.v1();
   }
+  touchItem(db, item._id);
+  indexItem(db, item);
   if (!itemData) {
     itemData = {
-      block: blocks,
+      block: -1,
+      overflow: [],
       cached: false,
-      cacheIndex: -1,
+      cacheIndex: -1
     };
-    db.blocks++;
-  }
-  var block = itemData.block;
-  items[item._id] = itemData;
-
-  var itemLength = 0;
-  var itemString = JSON.stringify(item);
-  itemLength = itemString.length;
-  if (db.compressed) {
-    var compressed = compress(itemString);
-    itemLength = compressed.length;
-  }
-  var promise = Promise.resolve();
-  if (itemLength > db.blockSize) {
-    if (db.blocks > 1) {
-      // The new item is larger than the block size, resize the database
-      promise = this.resize(nextPowerOfTwo(itemLength), options);
-    } else {
-      db.blockSize = nextPowerOfTwo(itemLength);
-    }
-  }
-  return promise.then(function() {
-    if (itemData.cached) {
-      cache[itemData.cacheIndex] = item;
-    } else if (blocks <= cache.length && db.blockSize * (cache.length + 1) <= db.maxCacheSize) {
-      // There is room, add it to the cache
-      itemData.cached = true;
-      itemData.cacheIndex = cache.length;
-      cache.push(item);
-    }
-    // Write the new entry to disk
-    return writeToBlock(db, block, item);
-  });
-};
-
-function moveBlock(db, fromBlock, toBlock) {
-  var buffer = new Buffer(db.blockSize);
-  return readFromBlock(db, fromBlock, buffer)
-    .then(function(item) {
-      var id = item._id;
-      var itemData = db.items[id];
-      itemData.block = toBlock;
-      return writeBufferToBlock(db, toBlock, buffer)
-        .then(function() {
-          return item;
-        });
-    });
-}
-
-function getLastNBlocks(db, n) {
-  var blocks = [];
-  var i = db.blocks - 1;
-  while (blocks.length < n && i >= 0) {
-    while (db.blockHoles[i]) {
-      i--;
-    }
-    blocks.push(i);
-    i--;
-  }
-  return blocks;
-}
-
-function getLastNCacheIndices(db, n) {
-  var indices = [];
-  var cache = db.cache;
-  var i = cache.length - 1;
-  while (indices.length < n && i >= 0) {
-    while (db.cacheHoles[i]) {
-      i--;
-    }
-    indices.push(i);
-    i--;
+    items[item._id] = itemData;
   }
-  return indices;
-}
-
-function fillHoles(db, options) {
-  var blocks = db.blocks;
-  var blockHoles = Object.keys(db.blockHoles);
-  var cacheHoles = Object.keys(db.cacheHoles);
-  var fromBlocks = getLastNBlocks(db, blockHoles.length);
-  // Move elements from the bottom of the database up to fill the holes
-  return Promise.map(blockHoles, function(block, index) {
-    var fromBlock = fromBlocks[index];
-    if (fromBlock && fromBlock > block) {
-      return moveBlock(db, fromBlock, block)
-        .then(function(item) {
-          var itemData = db.items[item._id];
-          if (!itemData.cached && cacheHoles.length > 0) {
-            var cacheHole = cacheHoles.shift();
-            itemData.cached = true;
-            itemData.cacheIndex = cacheHole;
-            db.cache[cacheHole] = item;
-          }
-        });
-    }
-  }, options)
-    .then(function() {
-      db.blockHoles = {};
-      db.blocks = blocks - blockHoles.length;
-      // Truncate any extra data from the bottom of the file
-      return fsFTruncate(db.fd, db.headerLength + db.blocks * db.blockSize);
-    })
-    .then(function() {
-      // If there are unfilled cache holes, then the cache needs to be resized
-      var newCacheSize = Math.min(db.blocks, db.cache.length - cacheHoles.length);
-      if (cacheHoles.length > 0) {
-        var indices = getLastNCacheIndices(db, cacheHoles.length);
-        // Make sure there are no holes in the middle of the cache
-        for (var i = 0; i < cacheHoles.length && indices.length > 0; i++) {
-          var cacheHole = cacheHoles[i];
-          if (cacheHole < newCacheSize) {
-            // Fill this cache hole with the last item in the cache
-            var index = indices.shift();
-            var item = db.cache[index];
-            var itemData = db.items[item._id];
-            itemData.cacheIndex = cacheHole;
-            db.cache[cacheHole] = item;
-          }
-        }
-      }
-      // Resize the cache
-      while (db.cache.length > newCacheSize) {
-        db.cache.pop();
-      }
-      db.cacheHoles = {};
-  });
+  // Write the new entry to disk, caching it once its blocks are known
+  var written = writeItem(db, item, itemData);
+  cacheItem(db, itemData, item);
+  return written;
 }
 
 function removeItem(db, id) {
   var itemData = db.items[id];
-  if (itemData.cached) {
-    var cacheIndex = itemData.cacheIndex;
-    db.cacheHoles[cacheIndex] = true;
+  touchItem(db, id);
+  unindexItem(db, id);
+  uncacheItem(db, itemData);
+  db.blockHoles[itemData.block] = true;
+  for (var i = 0; i < itemData.overflow.length; i++) {
+    db.blockHoles[itemData.overflow[i]] = true;
   }
-  var block = itemData.block;
-  db.blockHoles[block] = true;
   delete db.items[id];
+  return writeTombstone(db, itemData.block);
 }
 
 Database.prototype.remove = function(query, options) {
   var db = this;
+  return journaled(db, function() {
+    return removeItems(db, query, options);
+  });
+};
+
+function removeItems(db, query, options) {
   var numRemoved = 0;
   options = defaults(options, {
     concurrency: 4,
     limit: Number.MAX_VALUE
   });
 
+  var tombstones = [];
   var removePromise;
-  if (options.sort === undefined) {
-    removePromise = this.iterate(function(item) {
+  if (options.sort === undefined && !options.skip) {
+    var handler = function(item) {
       if (db.matches(item, query)) {
-        removeItem(db, item._id);
+        tombstones.push(removeItem(db, item._id));
         numRemoved++;
         if (numRemoved >= options.limit) {
           return false;
         }
       }
       return true;
-    });
+    };
+    removePromise = iterateIds(db, planQuery(db, query).ids, handler);
   } else {
-    // If a sort is defined, we can't just remove in order
-    removePromise = this.find(query, options)
+    // If a sort or skip is defined, we can't just remove in order
+    removePromise = findItems(db, query, options)
       .then(function(results) {
         for (var i = 0; i < results.length; i++) {
-          removeItem(db, results[i]._id);
+          tombstones.push(removeItem(db, results[i]._id));
           numRemoved++;
         }
       });
   }
-  return removePromise.then(function() {
-    if (numRemoved > 0) {
-      return fillHoles(db, options);
-    }
-    return Promise.resolve();
-  }).then(function() {
-    return numRemoved;
-  });
-};
+  return removePromise
+    .then(function() {
+      return Promise.all(tombstones);
+    })
+    .then(function() {
+      return numRemoved;
+    });
+}
 
 Database.prototype.update = function(query, update, options) {
   var db = this;
+  return journaled(db, function() {
+    return updateItems(db, query, update, options);
+  });
+};
+
+function updateItems(db, query, update, options) {
   var numUpdated = 0;
   options = defaults(options, {
     concurrency: 4
   });
+  // Check the operators before changing anything
+  for (var key in update) {
+    if (update.hasOwnProperty(key)) {
+      operatorOf(db.updateOperators, key, 'update');
+    }
+  }
 
-  return db.find(query, options)
+  return findItems(db, query, options)
     .then(function(results) {
       numUpdated = results.length;
       return Promise.map(results, function(item) {
         for (var key in update) {
           if (update.hasOwnProperty(key)) {
-            var operator = db.updateOperators[key];
+            var operator = operatorOf(db.updateOperators, key, 'update');
             if (operator) {
               operator.call(db, item, update[key]);
             } else {
-              item[key] = update[key];
+              paths.set(item, key, update[key]);
             }
           }
         }
-        return db.insert(item);
+        return insertItem(db, item);
       });
     })
     .then(function() {
       return numUpdated;
     });
+}
+
+// The handle passed to a transaction function. Its methods run as part of the
+// transaction's batch, so they see each other's writes.
+function Transaction(db) {
+  this.db = db;
+  this.finished = false;
+}
+
+function inTransaction(tx, work) {
+  if (tx.finished) {
+    return Promise.reject(new Error('The transaction has already finished'));
+  }
+  return Promise.resolve().then(work);
+}
+
+Transaction.prototype.insert = function(item, options) {
+  var db = this.db;
+  return inTransaction(this, function() {
+    return insertItem(db, item, options);
+  });
+};
+
+Transaction.prototype.update = function(query, update, options) {
+  var db = this.db;
+  return inTransaction(this, function() {
+    return updateItems(db, query, update, options);
+  });
+};
+
+Transaction.prototype.remove = function(query, options) {
+  var db = this.db;
+  return inTransaction(this, function() {
+    return removeItems(db, query, options);
+  });
+};
+
+Transaction.prototype.find = function(query, options) {
+  var db = this.db;
+  return inTransaction(this, function() {
+    return findItems(db, query, options);
+  });
+};
+
+// Streams the results of a query instead of collecting them like find. Without
+// a sort, items are read a batch at a time as they are asked for, so only a
+// batch is held in memory, and so they are with a sort an ordered index gives.
+// Any other sorted cursor has to see every match first, and holds skip + limit
+// of them if it has a limit.
+function Cursor(db, query, options) {
+  options = defaults(options, {
+    skip: 0,
+    batchSize: 64
+  });
+  this.db = db;
+  this.query = query;
+  this.options = {
+    sort: options.sort,
+    skip: options.skip,
+    limit: options.limit,
+    projections: options.projections
+  };
+  this.batchSize = options.batchSize;
+  this.started = false;
+  this.closed = false;
+  // The plan and the _ids it gives, the next block a disk scan reads, and the
+  // matches read but not returned
+  this.plan = undefined;
+  this.nextIds = undefined;
+  this.position = 0;
+  this.exhausted = false;
+  this.buffer = [];
+  this.projected = false;
+  this.projection = undefined;
+  this.seen = {};
+  this.skipped = 0;
+  this.returned = 0;
+  this.pending = Promise.resolve();
+}
+
+function setCursorOption(cursor, name, value) {
+  if (cursor.started) {
+    throw new Error('Cannot change ' + name + ' after the cursor has started');
+  }
+  cursor.options[name] = value;
+  return cursor;
+}
+
+Cursor.prototype.sort = function(sort) {
+  return setCursorOption(this, 'sort', sort);
+};
+
+Cursor.prototype.skip = function(skip) {
+  return setCursorOption(this, 'skip', skip);
+};
+
+Cursor.prototype.limit = function(limit) {
+  return setCursorOption(this, 'limit', limit);
+};
+
+Cursor.prototype.project = function(projections) {
+  return setCursorOption(this, 'projections', projections);
+};
+
+// Reads the next batch of matches into the buffer. A disk scan follows the
+// blocks of the file, skipping records that have since been replaced, and other
+// plans follow their candidate _ids in order.
+function fillCursor(cursor) {
+  var db = cursor.db;
+  var options = cursor.options;
+  checkTransaction(db);
+  if (!cursor.plan) {
+    cursor.plan = planQuery(db, cursor.query, options);
+    cursor.nextIds = planIds(db, cursor.plan);
+  }
+  if ((options.sort !== undefined && !cursor.plan.sorted) || cursor.query.$text !== undefined) {
+    cursor.exhausted = true;
+    cursor.projected = true;
+    return findItems(db, cursor.query, options)
+      .then(function(results) {
+        cursor.buffer = results;
+        cursor.skipped = options.skip;
+      });
+  }
+  if (options.projections && !cursor.projection) {
+    cursor.projection = projections.compile(options.projections);
+  }
+  var start = cursor.position;
+  var end = start + cursor.batchSize;
+  var found = [];
+  var positions = {};
+  function handler(item, block) {
+    var itemData = db.items[item._id];
+    if (block !== undefined && (!itemData || itemData.block !== block)) {
+      return true;
+    }
+    if (!cursor.seen[item._id] && db.matches(item, cursor.query)) {
+      cursor.seen[item._id] = true;
+      found.push({
+        item: item,
+        order: block === undefined ? positions[item._id] : block
+      });
+    }
+    return true;
+  }
+  var promise;
+  if (cursor.plan.type === 'diskScan') {
+    promise = db.iterateOutOfCore(start, handler, {
+      concurrency: 4,
+      endBlock: end
+    })
+      .then(function() {
+        cursor.exhausted = end >= db.blocks;
+      });
+  } else {
+    var ids = cursor.nextIds(cursor.batchSize);
+    ids.forEach(function(id, position) {
+      positions[id] = position;
+    });
+    promise = iterateIds(db, ids, function(item) {
+      return handler(item);
+    })
+      .then(function() {
+        cursor.exhausted = ids.length < cursor.batchSize;
+      });
+  }
+  cursor.position = end;
+  return promise.then(function() {
+    found.sort(function(a, b) {
+      return a.order - b.order;
+    });
+    for (var i = 0; i < found.length; i++) {
+      cursor.buffer.push(found[i].item);
+    }
+  });
+}
+
+function nextCursorItem(cursor) {
+  var options = cursor.options;
+  for (;;) {
+    if (cursor.closed || (options.limit !== undefined && cursor.returned >= options.limit)) {
+      cursor.closed = true;
+      return undefined;
+    }
+    if (cursor.buffer.length === 0) {
+      if (cursor.exhausted) {
+        cursor.closed = true;
+        return undefined;
+      }
+      return fillCursor(cursor)
+        .then(nextCursorItem.bind(undefined, cursor));
+    }
+    var item = cursor.buffer.shift();
+    if (cursor.skipped < options.skip) {
+      cursor.skipped++;
+    } else {
+      cursor.returned++;
+      if (!cursor.projected) {
+        item = clone(options.projections ? projectItem(cursor.db, item, cursor.projection) : item);
+      }
+      return item;
+    }
+  }
+}
+
+// Resolves to the next result, or undefined once there are none left
+Cursor.prototype.next = function() {
+  var cursor = this;
+  cursor.started = true;
+  var next = cursor.pending
+    .then(function() {
+      return nextCursorItem(cursor);
+    });
+  cursor.pending = next.catch(function() {});
+  return next;
+};
+
+// Stops reading results and frees the ones already read
+Cursor.prototype.close = function() {
+  var cursor = this;
+  return cursor.pending
+    .then(function() {
+      cursor.started = true;
+      cursor.closed = true;
+      cursor.buffer = [];
+      cursor.seen = {};
+    });
+};
+
+// Cursors can be read with for await, and leaving the loop early closes them
+Cursor.prototype[Symbol.asyncIterator] = function() {
+  var cursor = this;
+  return {
+    next: function() {
+      return cursor.next()
+        .then(function(item) {
+          return {
+            done: item === undefined,
+            value: item
+          };
+        });
+    },
+    return: function() {
+      return cursor.close()
+        .then(function() {
+          return {
+            done: true,
+            value: undefined
+          };
+        });
+    }
+  };
+};
+
+// Returns a Readable object stream of the results. A result is only read when
+// the stream asks for one, so a slow consumer holds back the reads.
+Cursor.prototype.stream = function() {
+  var cursor = this;
+  var readable = new stream.Readable({
+    objectMode: true,
+    read: function() {
+      cursor.next()
+        .then(function(item) {
+          readable.push(item === undefined ? null : item);
+        }, function(error) {
+          readable.destroy(error);
+        });
+    },
+    destroy: function(error, callback) {
+      cursor.close()
+        .then(function() {
+          callback(error);
+        }, callback);
+    }
+  });
+  return readable;
+};
+
+Database.prototype.cursor = function(query, options) {
+  return new Cursor(this, query, options);
+};
+
+// Runs fn with a transaction handle and commits everything it writes as one
+// batch once the promise it returns resolves. If fn throws or rejects, none of
+// its writes are applied, in memory or on disk. Until the transaction has
+// finished, the database rejects any other reads and writes with a
+// TransactionInProgressError, so fn must go through the handle.
+Database.prototype.transaction = function(fn) {
+  var db = this;
+  var tx;
+  return journaled(db, function() {
+    tx = new Transaction(db);
+    db.activeTransaction = tx;
+    return Promise.resolve()
+      .then(function() {
+        return fn(tx);
+      })
+      .finally(function() {
+        tx.finished = true;
+      });
+  })
+    .finally(function() {
+      // Only once the batch has committed or rolled back
+      if (tx) {
+        db.activeTransaction = undefined;
+      }
+    });
 };
@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = Heap;
+
+// Keeps the lowest elements pushed to it, up to capacity, according to
+// compare. The largest one kept is at the root, ready to be replaced.
+function Heap(compare, capacity) {
+  this.compare = compare;
+  this.capacity = capacity;
+  this.elements = [];
+}
+
+function swap(elements, i, j) {
+  var element = elements[i];
+  elements[i] = elements[j];
+  elements[j] = element;
+}
+
+function siftUp(heap, index) {
+  var elements = heap.elements;
+  while (index > 0) {
+    var parent = (index - 1) >> 1;
+    if (heap.compare(elements[index], elements[parent]) <= 0) {
+      return;
+    }
+    swap(elements, index, parent);
+    index = parent;
+  }
+}
+
+function siftDown(heap, index) {
+  var elements = heap.elements;
+  for (;;) {
+    var largest = index;
+    var left = 2 * index + 1;
+    var right = left + 1;
+    if (left < elements.length && heap.compare(elements[left], elements[largest]) > 0) {
+      largest = left;
+    }
+    if (right < elements.length && heap.compare(elements[right], elements[largest]) > 0) {
+      largest = right;
+    }
+    if (largest === index) {
+      return;
+    }
+    swap(elements, index, largest);
+    index = largest;
+  }
+}
+
+Heap.prototype.push = function(element) {
+  var elements = this.elements;
+  if (elements.length < this.capacity) {
+    elements.push(element);
+    siftUp(this, elements.length - 1);
+  } else if (elements.length > 0 && this.compare(element, elements[0]) < 0) {
+    elements[0] = element;
+    siftDown(this, 0);
+  }
+};
+
+// Returns the elements kept, in order
+Heap.prototype.toArray = function() {
+  return this.elements.slice().sort(this.compare);
+};
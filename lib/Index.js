@@ -0,0 +1,226 @@
+'use strict';
+var paths = require('./paths');
+
+module.exports = Index;
+
+// Objects and arrays can be loosely equal to a primitive, so items with one in
+// the indexed field are kept in a bucket that every lookup includes
+var OBJECT_KEY = 'o';
+var NULL_KEY = 'null';
+
+// A secondary index mapping the values of a field to the _ids of the items
+// that hold them. Lookups return candidates that still have to be checked
+// against the query. fieldName may be an array of fields for a compound index,
+// which is only used to enforce a unique constraint.
+function Index(fieldName, options) {
+  options = options || {};
+  this.fieldName = fieldName;
+  this.name = Index.nameOf(fieldName);
+  this.sparse = !!options.sparse;
+  this.unique = !!options.unique;
+  // Buckets of _ids by key, and the entry of every indexed _id
+  this.keys = {};
+  this.ids = {};
+  // The _id holding each exact value of a unique index
+  this.values = {};
+}
+
+Index.nameOf = function(fieldName) {
+  if (Array.isArray(fieldName)) {
+    return fieldName.join(',');
+  }
+  return fieldName;
+};
+
+// Values that are loosely equal (==) to each other share a key, so a bucket
+// holds every item a query could match
+function indexKey(value) {
+  if (value === null || value === undefined) {
+    return NULL_KEY;
+  }
+  switch (typeof value) {
+    case 'number':
+    case 'boolean':
+      return 'n:' + Number(value);
+    case 'string':
+      if (!isNaN(Number(value))) {
+        return 'n:' + Number(value);
+      }
+      return 's:' + value;
+    default:
+      return OBJECT_KEY;
+  }
+}
+
+function isPrimitive(value) {
+  return value === null || value === undefined || typeof value !== 'object';
+}
+
+// A missing field counts as null, as it does in a query
+function exactValue(value) {
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Returns the entry an item is indexed under, or undefined if it is left out
+function entryFor(index, item) {
+  var fieldName = index.fieldName;
+  if (Array.isArray(fieldName)) {
+    var values = [];
+    var missing = true;
+    for (var i = 0; i < fieldName.length; i++) {
+      var value = paths.get(item, fieldName[i]);
+      missing = missing && value === undefined;
+      values.push(value === undefined ? null : value);
+    }
+    if (missing && index.sparse) {
+      return undefined;
+    }
+    var compound = JSON.stringify(values);
+    return {
+      key: 'c:' + compound,
+      value: compound
+    };
+  }
+  var fieldValue = paths.get(item, fieldName);
+  if (fieldValue === undefined && index.sparse) {
+    return undefined;
+  }
+  return {
+    key: indexKey(fieldValue),
+    value: index.unique ? exactValue(fieldValue) : undefined
+  };
+}
+
+Index.prototype.add = function(id, entry) {
+  var bucket = this.keys[entry.key];
+  if (!bucket) {
+    bucket = this.keys[entry.key] = {};
+  }
+  bucket[id] = true;
+  if (this.unique) {
+    this.values[entry.value] = id;
+  }
+  this.ids[id] = entry;
+};
+
+Index.prototype.remove = function(id) {
+  if (!this.ids.hasOwnProperty(id)) {
+    return;
+  }
+  var entry = this.ids[id];
+  var bucket = this.keys[entry.key];
+  delete bucket[id];
+  if (Object.keys(bucket).length === 0) {
+    delete this.keys[entry.key];
+  }
+  if (this.unique && this.values[entry.value] === id) {
+    delete this.values[entry.value];
+  }
+  delete this.ids[id];
+};
+
+// Returns the _id of another item that holds the same value as item in a
+// unique index, or undefined if there is none
+Index.prototype.conflict = function(item) {
+  if (!this.unique) {
+    return undefined;
+  }
+  var entry = entryFor(this, item);
+  if (entry && this.values.hasOwnProperty(entry.value) && this.values[entry.value] !== item._id) {
+    return this.values[entry.value];
+  }
+};
+
+// Indexes an item, replacing any earlier entry for its _id
+Index.prototype.insert = function(item) {
+  var entry = entryFor(this, item);
+  this.remove(item._id);
+  if (entry) {
+    this.add(item._id, entry);
+  }
+};
+
+// Returns the entry an _id is indexed under, or undefined
+Index.prototype.entryOf = function(id) {
+  if (this.ids.hasOwnProperty(id)) {
+    return this.ids[id];
+  }
+};
+
+// Returns the key an _id is indexed under, or undefined
+Index.prototype.keyOf = function(id) {
+  var entry = this.entryOf(id);
+  if (entry) {
+    return entry.key;
+  }
+};
+
+// Returns the _ids that could match a condition on the indexed field, or
+// undefined if the index cannot answer it. Equality with a primitive and $in
+// with primitives are supported.
+Index.prototype.lookup = function(condition) {
+  var values;
+  if (Array.isArray(this.fieldName)) {
+    return undefined;
+  }
+  if (isPrimitive(condition)) {
+    values = [condition];
+  } else if (Array.isArray(condition.$in)) {
+    values = condition.$in.filter(isPrimitive);
+  } else {
+    return undefined;
+  }
+  var keys = [OBJECT_KEY];
+  for (var i = 0; i < values.length; i++) {
+    var key = indexKey(values[i]);
+    if (key === NULL_KEY && this.sparse) {
+      // Items without the field are not in a sparse index
+      return undefined;
+    }
+    keys.push(key);
+  }
+  var found = {};
+  var ids = [];
+  for (var j = 0; j < keys.length; j++) {
+    var bucket = this.keys[keys[j]];
+    for (var id in bucket) {
+      if (bucket.hasOwnProperty(id) && !found[id]) {
+        found[id] = true;
+        ids.push(id);
+      }
+    }
+  }
+  return ids;
+};
+
+Index.prototype.definition = function() {
+  return {
+    fieldName: this.fieldName,
+    sparse: this.sparse,
+    unique: this.unique
+  };
+};
+
+Index.prototype.toJSON = function() {
+  var json = this.definition();
+  json.entries = [];
+  for (var id in this.ids) {
+    if (this.ids.hasOwnProperty(id)) {
+      var entry = this.ids[id];
+      json.entries.push(entry.value === undefined ? [id, entry.key] : [id, entry.key, entry.value]);
+    }
+  }
+  return json;
+};
+
+Index.fromJSON = function(json) {
+  var index = new Index(json.fieldName, json);
+  var entries = json.entries;
+  for (var i = 0; i < entries.length; i++) {
+    index.add(entries[i][0], {
+      key: entries[i][1],
+      value: entries[i][2]
+    });
+  }
+  return index;
+};
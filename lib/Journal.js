@@ -0,0 +1,270 @@
+'use strict';
+var Promise = require('bluebird');
+var fs = require('fs-extra');
+var crc32 = require('./crc32');
+
+var fsClose = Promise.promisify(fs.close);
+var fsFStat = Promise.promisify(fs.fstat);
+var fsFSync = Promise.promisify(fs.fsync);
+var fsFTruncate = Promise.promisify(fs.ftruncate);
+var fsOpen = Promise.promisify(fs.open);
+var fsRead = Promise.promisify(fs.read);
+var fsReadFile = Promise.promisify(fs.readFile);
+var fsStat = Promise.promisify(fs.stat);
+var fsUnlink = Promise.promisify(fs.unlink);
+var fsWrite = Promise.promisify(fs.write);
+
+module.exports = Journal;
+
+Journal.HEADER_LENGTH = 17; // bytes
+Journal.RECORD_HEADER_LENGTH = 12; // bytes
+
+// A rollback journal for a database file. Before a region of the database
+// file is overwritten or truncated, its original contents are appended to the
+// journal and synced to disk. If the process dies before the batch commits,
+// recover() copies the original contents back into the database file.
+function Journal(fileName, dbFd) {
+  this.fileName = fileName;
+  this.fd = undefined;
+  this.dbFd = dbFd;
+  this.active = false;
+  this.length = 0;
+  this.originalLength = 0;
+  this.queue = Promise.resolve();
+}
+
+function writeUInt64(buffer, value, offset) {
+  buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset);
+  buffer.writeUInt32LE(value % 0x100000000, offset + 4);
+}
+
+function readUInt64(buffer, offset) {
+  return buffer.readUInt32LE(offset) * 0x100000000 + buffer.readUInt32LE(offset + 4);
+}
+
+function parseRecords(data) {
+  if (data.length < Journal.HEADER_LENGTH || data.toString('utf8', 0, 4) !== 'jrnl') {
+    return;
+  }
+  if (crc32(data, 0, 13) !== data.readUInt32LE(13)) {
+    return;
+  }
+  var records = [];
+  var offset = Journal.HEADER_LENGTH;
+  while (offset + Journal.RECORD_HEADER_LENGTH + 4 <= data.length) {
+    var length = data.readUInt32LE(offset);
+    var end = offset + Journal.RECORD_HEADER_LENGTH + length;
+    if (end + 4 > data.length || crc32(data, offset, end) !== data.readUInt32LE(end)) {
+      // A torn record is never followed by a database write, so it can be ignored
+      break;
+    }
+    records.push({
+      position: readUInt64(data, offset + 4),
+      data: data.slice(offset + Journal.RECORD_HEADER_LENGTH, end)
+    });
+    offset = end + 4;
+  }
+  return {
+    originalLength: readUInt64(data, 5),
+    records: records
+  };
+}
+
+function restore(journal, records, originalLength) {
+  var dbFd = journal.dbFd;
+  // Undo the changes newest first so each region ends with its oldest contents
+  return Promise.mapSeries(records.reverse(), function(record) {
+    return fsWrite(dbFd, record.data, 0, record.data.length, record.position);
+  })
+    .then(function() {
+      return fsFTruncate(dbFd, originalLength);
+    })
+    .then(function() {
+      return fsFSync(dbFd);
+    });
+}
+
+function enqueue(journal, task) {
+  var promise = journal.queue.then(task);
+  journal.queue = promise.catch(function() {});
+  return promise;
+}
+
+function readJournal(journal) {
+  return fsStat(journal.fileName)
+    .then(function() {
+      return fsReadFile(journal.fileName);
+    }, function() {
+      return undefined;
+    });
+}
+
+// Resolves to whether there is an interrupted batch for recover() to undo,
+// without changing anything
+Journal.prototype.isPending = function() {
+  return readJournal(this)
+    .then(function(data) {
+      var parsed = data && parseRecords(data);
+      return !!parsed && parsed.records.length > 0;
+    });
+};
+
+Journal.prototype.recover = function() {
+  var journal = this;
+  return readJournal(journal)
+    .then(function(data) {
+      if (!data) {
+        return false;
+      }
+      var parsed = parseRecords(data);
+      var promise = Promise.resolve();
+      if (parsed) {
+        promise = restore(journal, parsed.records, parsed.originalLength);
+      }
+      return promise
+        .then(function() {
+          return fsUnlink(journal.fileName);
+        })
+        .then(function() {
+          return !!parsed && parsed.records.length > 0;
+        });
+    });
+};
+
+Journal.prototype.begin = function() {
+  var journal = this;
+  if (journal.active) {
+    return Promise.reject(new Error('A journal batch is already in progress'));
+  }
+  journal.active = true;
+  journal.length = 0;
+  return fsFStat(journal.dbFd)
+    .then(function(stats) {
+      journal.originalLength = stats.size;
+    });
+};
+
+function ensureJournalFile(journal) {
+  if (journal.fd !== undefined) {
+    return Promise.resolve();
+  }
+  return fsOpen(journal.fileName, 'w+')
+    .then(function(fd) {
+      journal.fd = fd;
+      var header = new Buffer(Journal.HEADER_LENGTH);
+      header.write('jrnl');
+      header.writeUInt8(1, 4);
+      writeUInt64(header, journal.originalLength, 5);
+      header.writeUInt32LE(crc32(header, 0, 13), 13);
+      return fsWrite(fd, header, 0, header.length, 0);
+    })
+    .then(function() {
+      journal.length = Journal.HEADER_LENGTH;
+    });
+}
+
+function saveRegion(journal, position, length) {
+  var end = Math.min(position + length, journal.originalLength);
+  if (end <= position) {
+    // The region did not exist before this batch, truncation will undo it
+    return Promise.resolve();
+  }
+  var record = new Buffer(Journal.RECORD_HEADER_LENGTH + (end - position) + 4);
+  return fsRead(journal.dbFd, record, Journal.RECORD_HEADER_LENGTH, end - position, position)
+    .then(function(bytesRead) {
+      var recordEnd = Journal.RECORD_HEADER_LENGTH + bytesRead;
+      record = record.slice(0, recordEnd + 4);
+      record.writeUInt32LE(bytesRead, 0);
+      writeUInt64(record, position, 4);
+      record.writeUInt32LE(crc32(record, 0, recordEnd), recordEnd);
+      return ensureJournalFile(journal);
+    })
+    .then(function() {
+      var offset = journal.length;
+      journal.length += record.length;
+      return fsWrite(journal.fd, record, 0, record.length, offset);
+    })
+    .then(function() {
+      // The original contents must be durable before they are overwritten
+      return fsFSync(journal.fd);
+    });
+}
+
+Journal.prototype.write = function(buffer, offset, length, position) {
+  var journal = this;
+  return enqueue(journal, function() {
+    var promise = Promise.resolve();
+    if (journal.active) {
+      promise = saveRegion(journal, position, length);
+    }
+    return promise.then(function() {
+      return fsWrite(journal.dbFd, buffer, offset, length, position);
+    });
+  });
+};
+
+Journal.prototype.truncate = function(length) {
+  var journal = this;
+  return enqueue(journal, function() {
+    var promise = Promise.resolve();
+    if (journal.active) {
+      promise = fsFStat(journal.dbFd)
+        .then(function(stats) {
+          return saveRegion(journal, length, stats.size - length);
+        });
+    }
+    return promise.then(function() {
+      return fsFTruncate(journal.dbFd, length);
+    });
+  });
+};
+
+function finish(journal) {
+  journal.active = false;
+  if (journal.fd === undefined) {
+    return Promise.resolve();
+  }
+  var fd = journal.fd;
+  journal.fd = undefined;
+  return fsClose(fd)
+    .then(function() {
+      // Removing the journal is the point at which the batch takes effect
+      return fsUnlink(journal.fileName);
+    });
+}
+
+Journal.prototype.commit = function() {
+  var journal = this;
+  return enqueue(journal, function() {
+    if (!journal.active) {
+      return Promise.resolve();
+    }
+    return fsFSync(journal.dbFd)
+      .then(function() {
+        return finish(journal);
+      });
+  });
+};
+
+Journal.prototype.rollback = function() {
+  var journal = this;
+  return enqueue(journal, function() {
+    if (!journal.active) {
+      return Promise.resolve();
+    }
+    if (journal.fd === undefined) {
+      return fsFTruncate(journal.dbFd, journal.originalLength)
+        .then(function() {
+          journal.active = false;
+        });
+    }
+    return fsReadFile(journal.fileName)
+      .then(function(data) {
+        var parsed = parseRecords(data);
+        return restore(journal, parsed ? parsed.records : [], journal.originalLength);
+      })
+      .then(function() {
+        return finish(journal);
+      });
+  });
+};
@@ -0,0 +1,253 @@
+'use strict';
+var Promise = require('bluebird');
+var fs = require('fs-extra');
+var path = require('path');
+var errors = require('./errors');
+
+var fsLink = Promise.promisify(fs.link);
+var fsReadDir = Promise.promisify(fs.readdir);
+var fsReadFile = Promise.promisify(fs.readFile);
+var fsRename = Promise.promisify(fs.rename);
+var fsUnlink = Promise.promisify(fs.unlink);
+var fsWriteFile = Promise.promisify(fs.writeFile);
+
+module.exports = Lock;
+
+Lock.EXCLUSIVE = 'exclusive';
+Lock.SHARED_READONLY = 'shared-readonly';
+Lock.NONE = 'none';
+
+// Lock files held by this process, counted by the number of databases using
+// them. Readers in the same process share a lock file, but a writer keeps out
+// every other database, in this process as well as in others.
+var held = {};
+
+// Tells apart the temporary files lock files are written to or moved to
+var tempFiles = 0;
+
+process.on('exit', function() {
+  for (var lockFile in held) {
+    if (held.hasOwnProperty(lockFile)) {
+      try {
+        fs.unlinkSync(lockFile);
+      } catch (error) {
+        // It is already gone
+      }
+    }
+  }
+});
+
+// An advisory lock on a database file, made of lock files holding the PID of
+// their owner. A writer holds <fileName>.lock and each reader holds
+// <fileName>.lock-<pid>. A lock file whose owner is no longer running is stale
+// and is removed.
+function Lock(fileName, mode) {
+  if (mode !== Lock.EXCLUSIVE && mode !== Lock.SHARED_READONLY && mode !== Lock.NONE) {
+    throw new Error('Invalid lock mode: ' + mode + ' expected \'' + Lock.EXCLUSIVE + '\', \'' +
+      Lock.SHARED_READONLY + '\' or \'' + Lock.NONE + '\'');
+  }
+  this.fileName = fileName;
+  this.mode = mode;
+  this.lockFile = undefined;
+}
+
+function writerLockFile(fileName) {
+  return fileName + '.lock';
+}
+
+function readerLockFile(fileName, pid) {
+  return fileName + '.lock-' + pid;
+}
+
+function tempFileOf(lockFile) {
+  return path.join(path.dirname(lockFile), '.' + path.basename(lockFile) + '-' + process.pid + '-' + tempFiles++);
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+// Resolves to the PID holding a lock file, or undefined if it is missing or
+// stale. A lock file with the PID of this process that it does not hold was
+// left behind by an earlier process with the same PID.
+function readOwner(lockFile) {
+  return fsReadFile(lockFile)
+    .then(function(data) {
+      var pid = parseInt(data.toString(), 10);
+      if (pid === process.pid ? held[lockFile] : pid > 0 && isRunning(pid)) {
+        return pid;
+      }
+      return removeStale(lockFile, data.toString());
+    }, function() {
+      return undefined;
+    });
+}
+
+// Removes a stale lock file that was read with contents. Another process may
+// have replaced it with its own since, so rather than being unlinked it is
+// first moved out of the way, which only one process can do, and put back if
+// it no longer holds those contents.
+function removeStale(lockFile, contents) {
+  var claimed = tempFileOf(lockFile);
+  return fsRename(lockFile, claimed)
+    .then(function() {
+      return fsReadFile(claimed)
+        .then(function(data) {
+          if (data.toString() !== contents) {
+            return fsLink(claimed, lockFile);
+          }
+        })
+        .catch(function() {})
+        .finally(function() {
+          return fsUnlink(claimed)
+            .catch(function() {});
+        });
+    }, function() {
+      // Another process removed it first
+    });
+}
+
+function locked(lock, pid, mode) {
+  return new errors.DatabaseLockedError('Database ' + lock.fileName + ' is locked by process ' + pid + ' (' + mode + ')', {
+    pid: pid,
+    mode: mode
+  });
+}
+
+// Creates a lock file for this process. The PID is written to a temporary
+// file that is then linked into place, so nobody ever reads a lock file that
+// has been created but not written yet. A reader lock file that another
+// database in this process holds is joined instead.
+function createLockFile(lock, lockFile) {
+  var shared = lock.mode === Lock.SHARED_READONLY;
+  if (held[lockFile]) {
+    if (!shared) {
+      return Promise.reject(locked(lock, process.pid, lock.mode));
+    }
+    held[lockFile]++;
+    return Promise.resolve();
+  }
+  var tempFile = tempFileOf(lockFile);
+  function attempt(retry) {
+    return fsLink(tempFile, lockFile)
+      .then(function() {
+        held[lockFile] = 1;
+      }, function(error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (held[lockFile] && shared) {
+          // Another database in this process created it in the meantime
+          held[lockFile]++;
+          return;
+        }
+        return readOwner(lockFile)
+          .then(function(pid) {
+            if (pid === undefined && retry) {
+              return attempt(false);
+            }
+            throw locked(lock, pid, lock.mode);
+          });
+      });
+  }
+  return fsWriteFile(tempFile, String(process.pid), {flag: 'wx'})
+    .then(function() {
+      return attempt(true);
+    })
+    .finally(function() {
+      return fsUnlink(tempFile)
+        .catch(function() {});
+    });
+}
+
+function releaseLockFile(lockFile) {
+  held[lockFile]--;
+  if (held[lockFile] > 0) {
+    return Promise.resolve();
+  }
+  delete held[lockFile];
+  return fsUnlink(lockFile)
+    .catch(function() {});
+}
+
+// Resolves to the PID of a live reader, if there is one
+function findReader(fileName) {
+  var prefix = path.basename(fileName) + '.lock-';
+  var directory = path.dirname(fileName);
+  return fsReadDir(directory)
+    .then(function(names) {
+      var lockFiles = [];
+      for (var i = 0; i < names.length; i++) {
+        if (names[i].indexOf(prefix) === 0) {
+          lockFiles.push(path.join(directory, names[i]));
+        }
+      }
+      return Promise.mapSeries(lockFiles, readOwner);
+    })
+    .then(function(pids) {
+      for (var i = 0; i < pids.length; i++) {
+        if (pids[i] !== undefined) {
+          return pids[i];
+        }
+      }
+    });
+}
+
+// Each side creates its own lock file before looking for the other, so two
+// processes racing for the same file cannot both succeed
+Lock.prototype.acquire = function() {
+  var lock = this;
+  var fileName = lock.fileName;
+  var lockFile;
+  var check;
+  if (lock.mode === Lock.NONE) {
+    return Promise.resolve();
+  }
+  if (lock.mode === Lock.EXCLUSIVE) {
+    lockFile = writerLockFile(fileName);
+    check = function() {
+      return findReader(fileName)
+        .then(function(pid) {
+          if (pid !== undefined) {
+            throw locked(lock, pid, Lock.SHARED_READONLY);
+          }
+        });
+    };
+  } else {
+    lockFile = readerLockFile(fileName, process.pid);
+    check = function() {
+      return readOwner(writerLockFile(fileName))
+        .then(function(pid) {
+          if (pid !== undefined) {
+            throw locked(lock, pid, Lock.EXCLUSIVE);
+          }
+        });
+    };
+  }
+  return createLockFile(lock, lockFile)
+    .then(function() {
+      lock.lockFile = lockFile;
+      return check()
+        .catch(function(error) {
+          return lock.release()
+            .then(function() {
+              throw error;
+            });
+        });
+    });
+};
+
+Lock.prototype.release = function() {
+  var lockFile = this.lockFile;
+  if (lockFile === undefined) {
+    return Promise.resolve();
+  }
+  this.lockFile = undefined;
+  return releaseLockFile(lockFile);
+};
@@ -0,0 +1,299 @@
+'use strict';
+var BTree = require('./BTree');
+var Index = require('./Index');
+var paths = require('./paths');
+var sorting = require('./sorting');
+
+module.exports = OrderedIndex;
+
+// A secondary index keeping the values of one or more fields in order, so that
+// range conditions can seek to the keys they match and sorted queries can read
+// items in key order. Entries are kept in a B+ tree sorted by key and then by
+// _id. The key of an item holds the value of each field, compared the way find
+// sorts them, with a missing field as null.
+function OrderedIndex(fieldName, options) {
+  options = options || {};
+  this.type = 'ordered';
+  this.fieldName = fieldName;
+  this.fields = Array.isArray(fieldName) ? fieldName : [fieldName];
+  this.name = Index.nameOf(fieldName);
+  this.sparse = !!options.sparse;
+  this.unique = !!options.unique;
+  // The entries in key order, and the key of every indexed _id
+  this.entries = new BTree(compareEntries);
+  this.ids = {};
+}
+
+function compareKeys(a, b) {
+  for (var i = 0; i < a.length; i++) {
+    var result = sorting.compareValues(a[i], b[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+}
+
+function compareEntries(a, b) {
+  var result = compareKeys(a.key, b.key);
+  if (result !== 0) {
+    return result;
+  }
+  if (a.id < b.id) {
+    return -1;
+  }
+  return a.id > b.id ? 1 : 0;
+}
+
+function beforeKey(key) {
+  return function(entry) {
+    return compareKeys(entry.key, key) < 0;
+  };
+}
+
+// Entries of a lower type, and of the type up to its last entry
+function beforeType(rank, including) {
+  return function(entry) {
+    var entryRank = sorting.typeOrder(entry.key[0]);
+    return entryRank < rank || (including && entryRank === rank);
+  };
+}
+
+function beforeLow(range) {
+  return function(entry) {
+    var result = sorting.compareValues(entry.key[0], range.low);
+    return result < 0 || (result === 0 && !range.lowInclusive);
+  };
+}
+
+function beforeHigh(range) {
+  return function(entry) {
+    var result = sorting.compareValues(entry.key[0], range.high);
+    return result < 0 || (result === 0 && range.highInclusive);
+  };
+}
+
+// Returns the key an item is indexed under, or undefined if it is left out
+function keyFor(index, item) {
+  var key = [];
+  var missing = true;
+  for (var i = 0; i < index.fields.length; i++) {
+    var value = paths.get(item, index.fields[i]);
+    missing = missing && value === undefined;
+    key.push(value === undefined ? null : value);
+  }
+  if (missing && index.sparse) {
+    return undefined;
+  }
+  return key;
+}
+
+OrderedIndex.prototype.add = function(id, key) {
+  id = String(id);
+  this.entries.insert({
+    key: key,
+    id: id
+  });
+  this.ids[id] = key;
+};
+
+OrderedIndex.prototype.remove = function(id) {
+  id = String(id);
+  if (!this.ids.hasOwnProperty(id)) {
+    return;
+  }
+  this.entries.remove({
+    key: this.ids[id],
+    id: id
+  });
+  delete this.ids[id];
+};
+
+// Returns the _id of another item with the same key as item in a unique index,
+// or undefined if there is none
+OrderedIndex.prototype.conflict = function(item) {
+  var key = this.unique && keyFor(this, item);
+  if (!key) {
+    return undefined;
+  }
+  var id = String(item._id);
+  var other;
+  this.entries.each(beforeKey(key), false, function(entry) {
+    if (compareKeys(entry.key, key) !== 0) {
+      return false;
+    }
+    if (entry.id !== id) {
+      other = entry.id;
+      return false;
+    }
+    return true;
+  });
+  return other;
+};
+
+// Indexes an item, replacing any earlier entry for its _id
+OrderedIndex.prototype.insert = function(item) {
+  var key = keyFor(this, item);
+  this.remove(item._id);
+  if (key) {
+    this.add(item._id, key);
+  }
+};
+
+OrderedIndex.prototype.entryOf = function(id) {
+  if (this.ids.hasOwnProperty(id)) {
+    return this.ids[id];
+  }
+};
+
+OrderedIndex.prototype.size = function() {
+  return this.entries.size;
+};
+
+// Returns up to count entries in key order, following after if it is one that
+// was returned before, or from the first one. With a negative direction they
+// are read backwards, from the last one. Entries are found again by their key
+// and _id, so the index can change between calls.
+OrderedIndex.prototype.walk = function(after, count, direction) {
+  var entries = [];
+  var before;
+  if (after !== undefined) {
+    before = function(entry) {
+      var result = compareEntries(entry, after);
+      return direction < 0 ? result < 0 : result <= 0;
+    };
+  }
+  this.entries.each(before, direction < 0, function(entry) {
+    entries.push(entry);
+    return entries.length < count;
+  });
+  return entries;
+};
+
+function isBound(value) {
+  return typeof value === 'string' || (typeof value === 'number' && !isNaN(value));
+}
+
+function sameType(values) {
+  for (var i = 1; i < values.length; i++) {
+    if (typeof values[i] !== typeof values[0]) {
+      return false;
+    }
+  }
+  return values.length > 0;
+}
+
+// Turns a condition into ranges of values in order, or returns undefined if it
+// has no number or string bounds to seek to. Other operators in the condition
+// can only narrow the matches down, so they are left to the query.
+function rangesOf(condition) {
+  if (isBound(condition)) {
+    condition = {
+      $in: [condition]
+    };
+  }
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition) ||
+      condition instanceof RegExp) {
+    return undefined;
+  }
+  var values = condition.$in;
+  if (Array.isArray(values) && values.every(isBound) && sameType(values)) {
+    values = values.slice().sort(sorting.compareValues);
+    var ranges = [];
+    for (var i = 0; i < values.length; i++) {
+      if (i === 0 || values[i] !== values[i - 1]) {
+        ranges.push({
+          low: values[i],
+          lowInclusive: true,
+          high: values[i],
+          highInclusive: true
+        });
+      }
+    }
+    return ranges;
+  }
+  var range = {};
+  if (condition.hasOwnProperty('$gt') || condition.hasOwnProperty('$gte')) {
+    range.lowInclusive = !condition.hasOwnProperty('$gt');
+    range.low = range.lowInclusive ? condition.$gte : condition.$gt;
+  }
+  if (condition.hasOwnProperty('$lt') || condition.hasOwnProperty('$lte')) {
+    range.highInclusive = !condition.hasOwnProperty('$lt');
+    range.high = range.highInclusive ? condition.$lte : condition.$lt;
+  }
+  var bounds = [range.low, range.high].filter(function(bound) {
+    return bound !== undefined;
+  });
+  if (!bounds.every(isBound) || !sameType(bounds)) {
+    return undefined;
+  }
+  return [range];
+}
+
+// Returns the _ids that could match a condition on the first indexed field in
+// key order, or undefined if the index cannot answer it. Equality, $in and the
+// range operators with a number or a string seek to the keys of that type in
+// range. A value of another type can still match loosely, as '7' does {$gt: 5},
+// so test tells whether those match.
+OrderedIndex.prototype.lookup = function(condition, test) {
+  var ranges = rangesOf(condition);
+  if (!ranges) {
+    return undefined;
+  }
+  var bound = ranges[0].low !== undefined ? ranges[0].low : ranges[0].high;
+  var rank = sorting.typeOrder(bound);
+  var ids = [];
+  function addMatches(entry) {
+    if (test(entry.key[0])) {
+      ids.push(entry.id);
+    }
+    return true;
+  }
+  function addEntry(entry) {
+    ids.push(entry.id);
+    return true;
+  }
+  // The keys of a lower type, then the ranges and then the higher types
+  this.entries.each(undefined, false, until(beforeType(rank, false), addMatches));
+  for (var i = 0; i < ranges.length; i++) {
+    var low = ranges[i].low === undefined ? beforeType(rank, false) : beforeLow(ranges[i]);
+    var high = ranges[i].high === undefined ? beforeType(rank, true) : beforeHigh(ranges[i]);
+    this.entries.each(low, false, until(high, addEntry));
+  }
+  this.entries.each(beforeType(rank, true), false, addMatches);
+  return ids;
+};
+
+// Visits entries with visit as long as before returns true for them
+function until(before, visit) {
+  return function(entry) {
+    return before(entry) && visit(entry);
+  };
+}
+
+OrderedIndex.prototype.definition = function() {
+  return {
+    type: this.type,
+    fieldName: this.fieldName,
+    sparse: this.sparse,
+    unique: this.unique
+  };
+};
+
+OrderedIndex.prototype.toJSON = function() {
+  var json = this.definition();
+  json.entries = [];
+  this.entries.each(undefined, false, function(entry) {
+    json.entries.push([entry.id, entry.key]);
+    return true;
+  });
+  return json;
+};
+
+OrderedIndex.fromJSON = function(json) {
+  var index = new OrderedIndex(json.fieldName, json);
+  for (var i = 0; i < json.entries.length; i++) {
+    index.add(json.entries[i][0], json.entries[i][1]);
+  }
+  return index;
+};
@@ -0,0 +1,374 @@
+'use strict';
+var clone = require('clone');
+var expressions = require('./expressions');
+var Heap = require('./Heap');
+var paths = require('./paths');
+var sorting = require('./sorting');
+
+module.exports = Pipeline;
+
+// An aggregation pipeline, fed one document at a time. Each stage passes
+// documents on to the next one as soon as it can, so only $group and $sort
+// hold on to anything: one result per group, and the documents to sort.
+function Pipeline(db, stages) {
+  if (!Array.isArray(stages)) {
+    throw new Error('Invalid pipeline: expected an array of stages');
+  }
+  var results = this.results = [];
+  var next = {
+    push: function(doc) {
+      results.push(clone(doc));
+      return true;
+    },
+    end: function() {}
+  };
+  for (var i = stages.length - 1; i >= 0; i--) {
+    var names = stages[i] && typeof stages[i] === 'object' ? Object.keys(stages[i]) : [];
+    if (names.length !== 1) {
+      throw new Error('Invalid pipeline stage ' + i + ': expected an object with a single stage name');
+    }
+    var create = Pipeline.stages[names[0]];
+    if (!create || !Pipeline.stages.hasOwnProperty(names[0])) {
+      throw new Error('Unknown pipeline stage: ' + names[0]);
+    }
+    next = create(stages[i][names[0]], next, db, stages[i + 1]);
+  }
+  this.head = next;
+}
+
+// Returns false once the pipeline needs no more documents
+Pipeline.prototype.push = function(doc) {
+  return this.head.push(doc);
+};
+
+// Flushes the stages that hold documents and returns the results
+Pipeline.prototype.end = function() {
+  this.head.end();
+  return this.results;
+};
+
+function fieldPath(expression, stage) {
+  if (typeof expression !== 'string' || expression.charAt(0) !== '$') {
+    throw new Error('Invalid ' + stage + ': expected a field path like \'$tags\'');
+  }
+  return expression.substring(1);
+}
+
+// Each accumulator has a starting state, a way to add a value to it and a way
+// to turn it into the result. Missing values are left out.
+Pipeline.accumulators = {
+  $sum: {
+    init: function() {
+      return 0;
+    },
+    add: function(sum, value) {
+      return typeof value === 'number' ? sum + value : sum;
+    },
+    result: function(sum) {
+      return sum;
+    }
+  },
+  $avg: {
+    init: function() {
+      return {
+        sum: 0,
+        count: 0
+      };
+    },
+    add: function(state, value) {
+      if (typeof value === 'number') {
+        state.sum += value;
+        state.count++;
+      }
+      return state;
+    },
+    result: function(state) {
+      return state.count > 0 ? state.sum / state.count : null;
+    }
+  },
+  $min: {
+    init: function() {
+      return undefined;
+    },
+    add: function(min, value) {
+      if (value === undefined || value === null) {
+        return min;
+      }
+      return min === undefined || sorting.compareValues(value, min) < 0 ? value : min;
+    },
+    result: function(min) {
+      return min === undefined ? null : min;
+    }
+  },
+  $max: {
+    init: function() {
+      return undefined;
+    },
+    add: function(max, value) {
+      if (value === undefined || value === null) {
+        return max;
+      }
+      return max === undefined || sorting.compareValues(value, max) > 0 ? value : max;
+    },
+    result: function(max) {
+      return max === undefined ? null : max;
+    }
+  },
+  $push: {
+    init: function() {
+      return [];
+    },
+    add: function(values, value) {
+      if (value !== undefined) {
+        values.push(value);
+      }
+      return values;
+    },
+    result: function(values) {
+      return values;
+    }
+  }
+};
+
+function groupFields(spec) {
+  var fields = [];
+  for (var name in spec) {
+    if (spec.hasOwnProperty(name) && name !== '_id') {
+      var field = spec[name];
+      var operators = field && typeof field === 'object' ? Object.keys(field) : [];
+      var accumulator = operators.length === 1 && Pipeline.accumulators.hasOwnProperty(operators[0]) &&
+        Pipeline.accumulators[operators[0]];
+      if (!accumulator) {
+        throw new Error('Invalid $group field ' + name + ': expected an accumulator like {$sum: \'$price\'}');
+      }
+      fields.push({
+        name: name,
+        accumulator: accumulator,
+        expression: field[operators[0]]
+      });
+    }
+  }
+  return fields;
+}
+
+function checkCount(count, stage) {
+  if (typeof count !== 'number' || count < 0 || count % 1 !== 0) {
+    throw new Error('Invalid ' + stage + ': expected a whole number, not ' + count);
+  }
+}
+
+function projectDoc(spec, doc) {
+  var projected = {};
+  var exclude = false;
+  var name;
+  for (name in spec) {
+    if (spec.hasOwnProperty(name) && name !== '_id' && (spec[name] === 0 || spec[name] === false)) {
+      exclude = true;
+    }
+  }
+  if (exclude) {
+    projected = clone(doc);
+    for (name in spec) {
+      if (spec.hasOwnProperty(name) && (spec[name] === 0 || spec[name] === false)) {
+        paths.unset(projected, name);
+      }
+    }
+    return projected;
+  }
+  if (doc._id !== undefined && spec._id !== 0 && spec._id !== false) {
+    projected._id = doc._id;
+  }
+  for (name in spec) {
+    if (spec.hasOwnProperty(name) && spec[name] !== 0 && spec[name] !== false) {
+      if (spec[name] === 1 || spec[name] === true) {
+        if (name !== '_id') {
+          paths.copy(doc, projected, name);
+        }
+      } else {
+        paths.set(projected, name, expressions.evaluate(spec[name], doc));
+      }
+    }
+  }
+  return projected;
+}
+
+// Stages are created from the last to the first. Each one gets its spec, the
+// stage after it, the database and the spec of the stage after it. It returns
+// a push function that returns false once no more documents are needed, and an
+// end function.
+Pipeline.stages = {
+  $match: function(query, next, db) {
+    return {
+      push: function(doc) {
+        return db.matches(doc, query) ? next.push(doc) : true;
+      },
+      end: function() {
+        next.end();
+      }
+    };
+  },
+  $project: function(spec, next) {
+    return {
+      push: function(doc) {
+        return next.push(projectDoc(spec, doc));
+      },
+      end: function() {
+        next.end();
+      }
+    };
+  },
+  // Passes on a copy of the document for each element of an array field. The
+  // spec is the field path, or {path, preserveNullAndEmptyArrays} to keep
+  // documents without elements.
+  $unwind: function(spec, next) {
+    var path = fieldPath(typeof spec === 'object' && spec !== null ? spec.path : spec, '$unwind');
+    var preserve = typeof spec === 'object' && !!spec.preserveNullAndEmptyArrays;
+    return {
+      push: function(doc) {
+        var values = paths.get(doc, path);
+        if (!Array.isArray(values)) {
+          if (values === undefined || values === null) {
+            return preserve ? next.push(doc) : true;
+          }
+          return next.push(doc);
+        }
+        if (values.length === 0) {
+          if (!preserve) {
+            return true;
+          }
+          var empty = clone(doc);
+          paths.unset(empty, path);
+          return next.push(empty);
+        }
+        for (var i = 0; i < values.length; i++) {
+          var unwound = clone(doc);
+          paths.set(unwound, path, values[i]);
+          if (!next.push(unwound)) {
+            return false;
+          }
+        }
+        return true;
+      },
+      end: function() {
+        next.end();
+      }
+    };
+  },
+  // Groups documents by the value of the _id expression, in the order the
+  // groups are first seen
+  $group: function(spec, next) {
+    if (!spec || typeof spec !== 'object' || !spec.hasOwnProperty('_id')) {
+      throw new Error('Invalid $group: expected an _id expression');
+    }
+    var fields = groupFields(spec);
+    var groups = {};
+    var order = [];
+    return {
+      push: function(doc) {
+        var id = expressions.evaluate(spec._id, doc);
+        if (id === undefined) {
+          id = null;
+        }
+        var key = typeof id + ':' + JSON.stringify(id);
+        var group = groups[key];
+        if (!group) {
+          group = groups[key] = {
+            id: clone(id),
+            states: fields.map(function(field) {
+              return field.accumulator.init();
+            })
+          };
+          order.push(key);
+        }
+        for (var i = 0; i < fields.length; i++) {
+          var value = expressions.evaluate(fields[i].expression, doc);
+          group.states[i] = fields[i].accumulator.add(group.states[i], clone(value));
+        }
+        return true;
+      },
+      end: function() {
+        for (var i = 0; i < order.length; i++) {
+          var group = groups[order[i]];
+          var result = {
+            _id: group.id
+          };
+          for (var j = 0; j < fields.length; j++) {
+            result[fields[j].name] = fields[j].accumulator.result(group.states[j]);
+          }
+          if (!next.push(result)) {
+            break;
+          }
+        }
+        next.end();
+      }
+    };
+  },
+  // Keeps only as many documents as a $limit right after it lets through
+  $sort: function(spec, next, db, nextSpec) {
+    var compareDocs = sorting.comparator(spec);
+    function compare(a, b) {
+      return compareDocs(a.doc, b.doc) || a.order - b.order;
+    }
+    var heap;
+    var docs = [];
+    if (nextSpec && typeof nextSpec.$limit === 'number') {
+      heap = new Heap(compare, nextSpec.$limit);
+    }
+    var order = 0;
+    return {
+      push: function(doc) {
+        var entry = {
+          doc: doc,
+          order: order++
+        };
+        if (heap) {
+          heap.push(entry);
+        } else {
+          docs.push(entry);
+        }
+        return true;
+      },
+      end: function() {
+        docs = heap ? heap.toArray() : docs.sort(compare);
+        for (var i = 0; i < docs.length; i++) {
+          if (!next.push(docs[i].doc)) {
+            break;
+          }
+        }
+        next.end();
+      }
+    };
+  },
+  $skip: function(skip, next) {
+    checkCount(skip, '$skip');
+    var skipped = 0;
+    return {
+      push: function(doc) {
+        if (skipped < skip) {
+          skipped++;
+          return true;
+        }
+        return next.push(doc);
+      },
+      end: function() {
+        next.end();
+      }
+    };
+  },
+  $limit: function(limit, next) {
+    checkCount(limit, '$limit');
+    var count = 0;
+    return {
+      push: function(doc) {
+        if (count >= limit) {
+          return false;
+        }
+        count++;
+        return next.push(doc) && count < limit;
+      },
+      end: function() {
+        next.end();
+      }
+    };
+  }
+};
@@ -0,0 +1,211 @@
+'use strict';
+var paths = require('./paths');
+var text = require('./text');
+
+module.exports = TextIndex;
+
+// A full-text index over the string fields of the items, mapping each term to
+// the _ids of the items that use it and how often. Unlike an Index, it is
+// named $text after the query operator it answers, so there can only be one.
+function TextIndex(fields, options) {
+  options = options || {};
+  if (typeof fields === 'string') {
+    fields = [fields];
+  }
+  this.type = 'text';
+  this.fields = fields;
+  this.name = TextIndex.NAME;
+  this.language = options.language || 'english';
+  text.checkLanguage(this.language);
+  // How often each term is used by each _id, and the terms of every _id
+  this.postings = {};
+  this.ids = {};
+  // How many items use each term, and how many items are indexed
+  this.frequencies = {};
+  this.size = 0;
+}
+
+TextIndex.NAME = '$text';
+
+// Returns how often each term is used in the indexed fields of an item
+function termCounts(index, item) {
+  var counts = {};
+  function addText(value) {
+    if (typeof value === 'string') {
+      var terms = text.terms(value, index.language);
+      for (var i = 0; i < terms.length; i++) {
+        counts[terms[i]] = (counts[terms[i]] || 0) + 1;
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach(addText);
+    }
+  }
+  for (var i = 0; i < index.fields.length; i++) {
+    addText(paths.get(item, index.fields[i]));
+  }
+  return counts;
+}
+
+// Returns the indexed fields of an item in lower case, one per line
+function fieldText(index, item) {
+  var strings = [];
+  function addText(value) {
+    if (typeof value === 'string') {
+      strings.push(value.toLowerCase());
+    } else if (Array.isArray(value)) {
+      value.forEach(addText);
+    }
+  }
+  for (var i = 0; i < index.fields.length; i++) {
+    addText(paths.get(item, index.fields[i]));
+  }
+  return strings.join('\n');
+}
+
+TextIndex.prototype.add = function(id, counts) {
+  for (var term in counts) {
+    if (counts.hasOwnProperty(term)) {
+      if (!this.postings.hasOwnProperty(term)) {
+        this.postings[term] = {};
+        this.frequencies[term] = 0;
+      }
+      this.postings[term][id] = counts[term];
+      this.frequencies[term]++;
+    }
+  }
+  this.ids[id] = counts;
+  this.size++;
+};
+
+TextIndex.prototype.remove = function(id) {
+  if (!this.ids.hasOwnProperty(id)) {
+    return;
+  }
+  var counts = this.ids[id];
+  for (var term in counts) {
+    if (counts.hasOwnProperty(term)) {
+      delete this.postings[term][id];
+      this.frequencies[term]--;
+      if (this.frequencies[term] === 0) {
+        delete this.postings[term];
+        delete this.frequencies[term];
+      }
+    }
+  }
+  delete this.ids[id];
+  this.size--;
+};
+
+// Text indexes never reject an item
+TextIndex.prototype.conflict = function() {
+  return undefined;
+};
+
+// Items without any terms are left out
+TextIndex.prototype.insert = function(item) {
+  var counts = termCounts(this, item);
+  this.remove(item._id);
+  if (Object.keys(counts).length > 0) {
+    this.add(item._id, counts);
+  }
+};
+
+TextIndex.prototype.entryOf = function(id) {
+  if (this.ids.hasOwnProperty(id)) {
+    return this.ids[id];
+  }
+};
+
+function search(index, condition) {
+  if (!condition || typeof condition.$search !== 'string') {
+    throw new Error('Invalid $text: expected {$search: \'words to find\'}');
+  }
+  return text.parseSearch(condition.$search, index.language);
+}
+
+// Returns the _ids of the items using any of the terms searched for
+TextIndex.prototype.lookup = function(condition) {
+  var terms = search(this, condition).terms;
+  var found = {};
+  var ids = [];
+  for (var i = 0; i < terms.length; i++) {
+    var posting = this.postings[terms[i]];
+    for (var id in posting) {
+      if (posting.hasOwnProperty(id) && !found[id]) {
+        found[id] = true;
+        ids.push(id);
+      }
+    }
+  }
+  return ids;
+};
+
+// An item matches if it uses any of the terms searched for and none of the
+// negated ones, and contains every quoted phrase
+TextIndex.prototype.matches = function(item, condition) {
+  var query = search(this, condition);
+  var counts = termCounts(this, item);
+  var i;
+  for (i = 0; i < query.negated.length; i++) {
+    if (counts.hasOwnProperty(query.negated[i])) {
+      return false;
+    }
+  }
+  if (query.phrases.length > 0) {
+    var fields = fieldText(this, item);
+    for (i = 0; i < query.phrases.length; i++) {
+      if (fields.indexOf(query.phrases[i]) < 0) {
+        return false;
+      }
+    }
+  }
+  for (i = 0; i < query.terms.length; i++) {
+    if (counts.hasOwnProperty(query.terms[i])) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Scores how relevant an item is to a search. Each term found adds more the
+// more often the item uses it and the fewer other items do.
+TextIndex.prototype.score = function(item, condition) {
+  var terms = search(this, condition).terms;
+  var counts = termCounts(this, item);
+  var score = 0;
+  for (var i = 0; i < terms.length; i++) {
+    var count = counts[terms[i]];
+    if (count) {
+      var frequency = this.frequencies[terms[i]] || 1;
+      score += (1 + Math.log(count)) * Math.log(1 + Math.max(this.size, 1) / frequency);
+    }
+  }
+  return score;
+};
+
+TextIndex.prototype.definition = function() {
+  return {
+    type: this.type,
+    fields: this.fields,
+    language: this.language
+  };
+};
+
+TextIndex.prototype.toJSON = function() {
+  var json = this.definition();
+  json.entries = [];
+  for (var id in this.ids) {
+    if (this.ids.hasOwnProperty(id)) {
+      json.entries.push([id, this.ids[id]]);
+    }
+  }
+  return json;
+};
+
+TextIndex.fromJSON = function(json) {
+  var index = new TextIndex(json.fields, json);
+  for (var i = 0; i < json.entries.length; i++) {
+    index.add(json.entries[i][0], json.entries[i][1]);
+  }
+  return index;
+};
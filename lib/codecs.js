@@ -0,0 +1,76 @@
+'use strict';
+var smaz = require('smaz');
+var zlib = require('zlib');
+
+// The name of a codec is stored in the file header, so it is limited to the
+// space reserved for it there
+var NAME_LENGTH = 16; // bytes
+
+// A codec turns the JSON string of a record into the bytes stored on disk and
+// back again
+var codecs = {
+  none: {
+    encode: function(string) {
+      return new Buffer(string);
+    },
+    decode: function(buffer) {
+      return buffer.toString();
+    }
+  },
+  smaz: {
+    encode: function(string) {
+      return new Buffer(smaz.compress(string));
+    },
+    decode: function(buffer) {
+      return smaz.decompress(buffer);
+    }
+  },
+  deflate: {
+    encode: function(string) {
+      return zlib.deflateRawSync(new Buffer(string));
+    },
+    decode: function(buffer) {
+      return zlib.inflateRawSync(buffer).toString();
+    }
+  },
+  brotli: {
+    encode: function(string) {
+      return zlib.brotliCompressSync(new Buffer(string));
+    },
+    decode: function(buffer) {
+      return zlib.brotliDecompressSync(buffer).toString();
+    }
+  }
+};
+
+function register(name, codec) {
+  if (typeof name !== 'string' || name.length === 0 || Buffer.byteLength(name) > NAME_LENGTH) {
+    throw new Error('Invalid codec name: ' + name + ' must be between 1 and ' + NAME_LENGTH + ' bytes');
+  }
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('Codec ' + name + ' must have encode and decode functions');
+  }
+  // Files name the codec they were written with, so replacing one would leave
+  // them unreadable
+  if (codecs.hasOwnProperty(name)) {
+    throw new Error('The codec ' + name + ' is already registered');
+  }
+  codecs[name] = codec;
+}
+
+function get(name) {
+  if (codecs.hasOwnProperty(name)) {
+    return codecs[name];
+  }
+}
+
+function names() {
+  return Object.keys(codecs);
+}
+
+module.exports = {
+  NAME_LENGTH: NAME_LENGTH,
+  register: register,
+  get: get,
+  names: names
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+module.exports = crc32;
+
+// Lookup table for the reflected IEEE polynomial
+var table = [];
+for (var n = 0; n < 256; n++) {
+  var c = n;
+  for (var k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  table[n] = c >>> 0;
+}
+
+// Pass the checksum of the preceding data as previous to checksum several
+// regions as if they were one
+function crc32(buffer, start, end, previous) {
+  if (start === undefined) {
+    start = 0;
+  }
+  if (end === undefined) {
+    end = buffer.length;
+  }
+  if (previous === undefined) {
+    previous = 0;
+  }
+  var crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (var i = start; i < end; i++) {
+    crc = table[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,103 @@
+'use strict';
+var crypto = require('crypto');
+var Promise = require('bluebird');
+
+var pbkdf2 = Promise.promisify(crypto.pbkdf2);
+
+var CIPHER = 'aes-256-gcm';
+var KEY_LENGTH = 32; // bytes
+var IV_LENGTH = 12; // bytes
+var TAG_LENGTH = 16; // bytes
+var KEY_CHECK_LENGTH = 12; // bytes
+var SALT_LENGTH = 16; // bytes
+var PBKDF2_ITERATIONS = 100000;
+
+// Key derivation functions, as recorded in the header
+var KDF_NONE = 0; // The key was given as a Buffer and is used as it is
+var KDF_PBKDF2 = 1; // PBKDF2 with HMAC-SHA256 over the passphrase and a salt
+
+// Keys may be given as a 32 byte Buffer or as a passphrase, which is derived
+// into one with the salt of the file
+function checkKey(encryptionKey) {
+  if (encryptionKey === undefined) {
+    return undefined;
+  }
+  if (Buffer.isBuffer(encryptionKey)) {
+    if (encryptionKey.length !== KEY_LENGTH) {
+      throw new Error('Invalid encryption key: a Buffer key must be ' + KEY_LENGTH + ' bytes, not ' + encryptionKey.length);
+    }
+    return encryptionKey;
+  }
+  if (typeof encryptionKey !== 'string' || encryptionKey.length === 0) {
+    throw new Error('Invalid encryption key: expected a Buffer or a non-empty string');
+  }
+  return encryptionKey;
+}
+
+// Returns how the key of a new file is derived, with a new random salt
+function newDerivation(encryptionKey) {
+  if (Buffer.isBuffer(encryptionKey)) {
+    return {
+      kdf: KDF_NONE,
+      iterations: 0,
+      salt: new Buffer(0)
+    };
+  }
+  return {
+    kdf: KDF_PBKDF2,
+    iterations: PBKDF2_ITERATIONS,
+    salt: crypto.randomBytes(SALT_LENGTH)
+  };
+}
+
+// Resolves to the key for a derivation, or rejects if encryptionKey cannot be
+// used with it
+function deriveKey(encryptionKey, derivation) {
+  if (derivation.kdf === KDF_NONE) {
+    if (!Buffer.isBuffer(encryptionKey)) {
+      return Promise.reject(new Error('the file was encrypted with a Buffer key, not a passphrase'));
+    }
+    return Promise.resolve(encryptionKey);
+  }
+  if (derivation.kdf !== KDF_PBKDF2) {
+    return Promise.reject(new Error('unknown key derivation function ' + derivation.kdf));
+  }
+  if (Buffer.isBuffer(encryptionKey)) {
+    return Promise.reject(new Error('the file was encrypted with a passphrase, not a Buffer key'));
+  }
+  return pbkdf2(encryptionKey, derivation.salt, derivation.iterations, KEY_LENGTH, 'sha256');
+}
+
+// Stored in the header so that a wrong key is detected before any record is read
+function keyCheck(key) {
+  return crypto.createHmac('sha256', key).update('jinn key check').digest().slice(0, KEY_CHECK_LENGTH);
+}
+
+// The output is the random IV, then the authentication tag, then the ciphertext
+function encrypt(key, plaintext) {
+  var iv = crypto.randomBytes(IV_LENGTH);
+  var cipher = crypto.createCipheriv(CIPHER, key, iv);
+  var ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Throws if the data is too short or has been tampered with
+function decrypt(key, data) {
+  if (data.length < IV_LENGTH + TAG_LENGTH) {
+    throw new Error('Encrypted record is too short');
+  }
+  var decipher = crypto.createDecipheriv(CIPHER, key, data.slice(0, IV_LENGTH));
+  decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+module.exports = {
+  KEY_CHECK_LENGTH: KEY_CHECK_LENGTH,
+  SALT_LENGTH: SALT_LENGTH,
+  checkKey: checkKey,
+  newDerivation: newDerivation,
+  deriveKey: deriveKey,
+  keyCheck: keyCheck,
+  encrypt: encrypt,
+  decrypt: decrypt
+};
@@ -0,0 +1,44 @@
+'use strict';
+var util = require('util');
+
+function createErrorType(name) {
+  function ErrorType(message, properties) {
+    Error.captureStackTrace(this, ErrorType);
+    this.message = message;
+    for (var key in properties) {
+      if (properties.hasOwnProperty(key)) {
+        this[key] = properties[key];
+      }
+    }
+  }
+  util.inherits(ErrorType, Error);
+  ErrorType.prototype.name = name;
+  return ErrorType;
+}
+
+module.exports = {
+  // A block failed its checksum or could not be decoded, the block is attached
+  CorruptBlockError: createErrorType('CorruptBlockError'),
+  // The file header failed its checksum
+  CorruptHeaderError: createErrorType('CorruptHeaderError'),
+  // Another process holds a lock on the file, its pid and lock mode are attached
+  DatabaseLockedError: createErrorType('DatabaseLockedError'),
+  // A backup failed verification and was not restored, the report is attached
+  InvalidBackupError: createErrorType('InvalidBackupError'),
+  // The encryption key is wrong, missing, or given for a file that is not encrypted
+  InvalidKeyError: createErrorType('InvalidKeyError'),
+  // The file does not start with 'jinn'
+  InvalidMagicError: createErrorType('InvalidMagicError'),
+  // A record could not be parsed, the block it starts in is attached
+  RecordParseError: createErrorType('RecordParseError'),
+  // A shared-readonly database found an interrupted batch that only a writer can roll back
+  RecoveryRequiredError: createErrorType('RecoveryRequiredError'),
+  // The database was used directly instead of through the handle of the transaction running on it
+  TransactionInProgressError: createErrorType('TransactionInProgressError'),
+  // A change would break a unique index, the conflicting _id and fieldName are attached
+  UniqueConstraintError: createErrorType('UniqueConstraintError'),
+  // The file names a codec that has not been registered, its name is attached
+  UnknownCodecError: createErrorType('UnknownCodecError'),
+  // The file was written by a newer or unknown version, which is attached
+  UnsupportedVersionError: createErrorType('UnsupportedVersionError')
+};
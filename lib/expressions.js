@@ -0,0 +1,148 @@
+'use strict';
+var paths = require('./paths');
+var sorting = require('./sorting');
+
+// Missing values, null, false and 0 are false, anything else is true
+function isTrue(value) {
+  return value !== undefined && value !== null && value !== false && value !== 0;
+}
+
+function argumentsOf(name, args, count) {
+  if (!Array.isArray(args)) {
+    args = [args];
+  }
+  if (count !== undefined && args.length !== count) {
+    throw new Error('Invalid ' + name + ': expected ' + count + ' arguments, not ' + args.length);
+  }
+  return args;
+}
+
+function compareWith(name, test) {
+  return function(args, doc) {
+    args = argumentsOf(name, args, 2);
+    return test(sorting.compareValues(evaluate(args[0], doc), evaluate(args[1], doc)));
+  };
+}
+
+// Arithmetic on a missing value or null gives null, and on anything else but
+// numbers is an error
+function arithmetic(name, count, apply) {
+  return function(args, doc) {
+    var values = argumentsOf(name, args, count).map(function(arg) {
+      return evaluate(arg, doc);
+    });
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] === undefined || values[i] === null) {
+        return null;
+      }
+      if (typeof values[i] !== 'number') {
+        throw new Error(name + ' only supports numbers, not ' + JSON.stringify(values[i]));
+      }
+    }
+    return apply(values);
+  };
+}
+
+function divisor(name, value) {
+  if (value === 0) {
+    throw new Error(name + ' by zero');
+  }
+  return value;
+}
+
+// Each operator is called with its arguments unevaluated and the document
+var operators = {
+  $literal: function(value) {
+    return value;
+  },
+  $eq: compareWith('$eq', function(result) {
+    return result === 0;
+  }),
+  $ne: compareWith('$ne', function(result) {
+    return result !== 0;
+  }),
+  $gt: compareWith('$gt', function(result) {
+    return result > 0;
+  }),
+  $gte: compareWith('$gte', function(result) {
+    return result >= 0;
+  }),
+  $lt: compareWith('$lt', function(result) {
+    return result < 0;
+  }),
+  $lte: compareWith('$lte', function(result) {
+    return result <= 0;
+  }),
+  $cmp: compareWith('$cmp', function(result) {
+    return result < 0 ? -1 : (result > 0 ? 1 : 0);
+  }),
+  $and: function(args, doc) {
+    return argumentsOf('$and', args).every(function(arg) {
+      return isTrue(evaluate(arg, doc));
+    });
+  },
+  $or: function(args, doc) {
+    return argumentsOf('$or', args).some(function(arg) {
+      return isTrue(evaluate(arg, doc));
+    });
+  },
+  $not: function(args, doc) {
+    return !isTrue(evaluate(argumentsOf('$not', args, 1)[0], doc));
+  },
+  $add: arithmetic('$add', undefined, function(values) {
+    return values.reduce(function(sum, value) {
+      return sum + value;
+    }, 0);
+  }),
+  $subtract: arithmetic('$subtract', 2, function(values) {
+    return values[0] - values[1];
+  }),
+  $multiply: arithmetic('$multiply', undefined, function(values) {
+    return values.reduce(function(product, value) {
+      return product * value;
+    }, 1);
+  }),
+  $divide: arithmetic('$divide', 2, function(values) {
+    return values[0] / divisor('$divide', values[1]);
+  }),
+  $mod: arithmetic('$mod', 2, function(values) {
+    return values[0] % divisor('$mod', values[1]);
+  })
+};
+
+// Strings starting with $ refer to a field of the document, an object with a
+// single $ key applies that operator to its arguments, other objects and
+// arrays are evaluated field by field and anything else is a constant
+function evaluate(expression, doc) {
+  if (typeof expression === 'string' && expression.charAt(0) === '$') {
+    return paths.get(doc, expression.substring(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(function(element) {
+      return evaluate(element, doc);
+    });
+  }
+  if (expression !== null && typeof expression === 'object' && !(expression instanceof Date)) {
+    var keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].charAt(0) === '$') {
+      if (!operators.hasOwnProperty(keys[0])) {
+        throw new Error('Unknown expression operator: ' + keys[0]);
+      }
+      return operators[keys[0]](expression[keys[0]], doc);
+    }
+    var value = {};
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i].charAt(0) === '$') {
+        throw new Error('Invalid expression: ' + keys[i] + ' has to be the only field of its object');
+      }
+      value[keys[i]] = evaluate(expression[keys[i]], doc);
+    }
+    return value;
+  }
+  return expression;
+}
+
+module.exports = {
+  evaluate: evaluate,
+  isTrue: isTrue
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+// Fields of nested objects are named by dot-separated paths like
+// 'address.city'. Numeric segments index into arrays, so 'tags.0' is the first
+// tag, and other names are looked up in every element of an array.
+
+function split(path) {
+  return String(path).split('.');
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function isIndex(segment) {
+  return /^\d+$/.test(segment);
+}
+
+// Returns the value at a path split into segments, following it from start
+function getSegments(value, segments, start) {
+  for (var i = start; i < segments.length; i++) {
+    if (!isContainer(value)) {
+      return undefined;
+    }
+    if (Array.isArray(value) && !isIndex(segments[i])) {
+      return getEach(value, segments, i);
+    }
+    value = value[segments[i]];
+  }
+  return value;
+}
+
+// A field name after an array is looked up in each of its elements, giving an
+// array of the values found
+function getEach(array, segments, start) {
+  var values = [];
+  for (var i = 0; i < array.length; i++) {
+    var value = getSegments(array[i], segments, start);
+    if (value !== undefined) {
+      values.push(value);
+    }
+  }
+  return values.length > 0 ? values : undefined;
+}
+
+// Returns the value at a path, or undefined if any part of it is missing
+function get(item, path) {
+  return getSegments(item, split(path), 0);
+}
+
+// Only numeric segments can be set in an array, as other names would not be
+// saved
+function checkSegment(parent, segments, i, path) {
+  if (Array.isArray(parent) && !isIndex(segments[i])) {
+    throw new Error('Cannot set ' + path + ', ' + segments.slice(0, i).join('.') + ' is an array and ' +
+      segments[i] + ' is not an index');
+  }
+}
+
+// Follows a path up to its last segment, creating missing objects along the
+// way if create is set. Returns undefined if a part of the path is missing.
+function parentOf(item, segments, path, create) {
+  var parent = item;
+  for (var i = 0; i < segments.length - 1; i++) {
+    if (create) {
+      checkSegment(parent, segments, i, path);
+    }
+    var child = parent[segments[i]];
+    if (child === undefined && create) {
+      child = parent[segments[i]] = {};
+    } else if (child === undefined) {
+      return undefined;
+    }
+    if (!isContainer(child)) {
+      if (!create) {
+        return undefined;
+      }
+      throw new Error('Cannot set ' + path + ', ' + segments.slice(0, i + 1).join('.') + ' is not an object');
+    }
+    parent = child;
+  }
+  return parent;
+}
+
+function set(item, path, value) {
+  var segments = split(path);
+  var parent = parentOf(item, segments, path, true);
+  checkSegment(parent, segments, segments.length - 1, path);
+  parent[segments[segments.length - 1]] = value;
+}
+
+// Array elements are set to null rather than removed, so the elements after
+// them keep their positions
+function unset(item, path) {
+  var segments = split(path);
+  var parent = parentOf(item, segments, path, false);
+  var last = segments[segments.length - 1];
+  if (parent === undefined || !parent.hasOwnProperty(last)) {
+    return;
+  }
+  if (Array.isArray(parent)) {
+    parent[last] = null;
+  } else {
+    delete parent[last];
+  }
+}
+
+// Copies the value at a path from one item to another, keeping arrays along
+// the path as arrays
+function copy(source, target, path) {
+  var segments = split(path);
+  for (var i = 0; i < segments.length - 1; i++) {
+    source = source[segments[i]];
+    if (!isContainer(source)) {
+      return;
+    }
+    if (!isContainer(target[segments[i]])) {
+      target[segments[i]] = Array.isArray(source) ? [] : {};
+    }
+    target = target[segments[i]];
+  }
+  var last = segments[segments.length - 1];
+  if (source.hasOwnProperty(last)) {
+    target[last] = source[last];
+  }
+}
+
+module.exports = {
+  split: split,
+  isContainer: isContainer,
+  isIndex: isIndex,
+  getSegments: getSegments,
+  get: get,
+  set: set,
+  unset: unset,
+  copy: copy
+};
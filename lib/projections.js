@@ -0,0 +1,278 @@
+'use strict';
+var paths = require('./paths');
+
+// Projections pick the fields of the results. A projection either includes
+// fields, naming them with 1 or true, or excludes them with 0 or false, and
+// cannot do both except for _id, which is included unless it is excluded.
+// Besides those, a field can be projected as:
+//   {$slice: n}              the first n elements of an array, or the last -n
+//   {$slice: [skip, limit]}  limit elements after skipping skip, or counting
+//                            back from the end if skip is negative
+//   {$elemMatch: condition}  only the first element matching the condition,
+//                            which includes the field like 1 does
+//   {$meta: 'textScore'}     the score of a $text query
+// Without any fields to include, every field but the excluded ones is kept.
+// The items are never changed: objects and arrays along the projected paths
+// are copied and the rest is shared, so results still have to be cloned.
+
+function isPlainObject(value) {
+  return paths.isContainer(value) && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isWhole(value) {
+  return typeof value === 'number' && value % 1 === 0;
+}
+
+function invalid(path, message) {
+  return new Error('Invalid projection for ' + path + ': ' + message);
+}
+
+function checkSlice(path, slice) {
+  var valid = isWhole(slice) || (Array.isArray(slice) && slice.length === 2 && isWhole(slice[0]) &&
+    isWhole(slice[1]) && slice[1] > 0);
+  if (!valid) {
+    throw invalid(path, '$slice expects a whole number or [skip, limit] with a positive limit');
+  }
+}
+
+// Checks a projection and sorts its fields by what they do
+function compile(spec) {
+  if (!isPlainObject(spec)) {
+    throw new Error('Invalid projection: expected an object like {name: 1}');
+  }
+  var projection = {
+    includeId: true,
+    include: [],
+    exclude: [],
+    slices: [],
+    elemMatches: [],
+    metas: []
+  };
+  var inclusion;
+  var exclusion;
+  var idIncluded = false;
+  for (var path in spec) {
+    if (spec.hasOwnProperty(path)) {
+      var value = spec[path];
+      var keys = isPlainObject(value) ? Object.keys(value) : [];
+      if (path === '_id' && (typeof value === 'number' || typeof value === 'boolean')) {
+        projection.includeId = idIncluded = !!value;
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        if (value) {
+          inclusion = inclusion || path;
+          projection.include.push(paths.split(path));
+        } else {
+          exclusion = exclusion || path;
+          projection.exclude.push(paths.split(path));
+        }
+      } else if (keys.length === 1 && keys[0] === '$slice') {
+        checkSlice(path, value.$slice);
+        projection.slices.push({
+          segments: paths.split(path),
+          slice: value.$slice
+        });
+      } else if (keys.length === 1 && keys[0] === '$elemMatch') {
+        if (!isPlainObject(value.$elemMatch)) {
+          throw invalid(path, '$elemMatch expects a condition object');
+        }
+        inclusion = inclusion || path;
+        projection.elemMatches.push({
+          path: path,
+          segments: paths.split(path),
+          condition: value.$elemMatch
+        });
+      } else if (keys.length === 1 && keys[0] === '$meta') {
+        projection.metas.push({
+          segments: paths.split(path),
+          meta: value.$meta
+        });
+      } else {
+        throw invalid(path, 'expected 1, 0, true, false, $slice, $elemMatch or $meta');
+      }
+    }
+  }
+  if (inclusion !== undefined && exclusion !== undefined) {
+    throw new Error('Invalid projection: cannot include ' + inclusion + ' and exclude ' + exclusion +
+      ' at once, only _id can be excluded from an inclusion');
+  }
+  // Naming only _id includes nothing else
+  projection.inclusion = inclusion !== undefined || (idIncluded && exclusion === undefined);
+  return projection;
+}
+
+// Returns the part of a value under a path. A numeric segment picks an element
+// of an array, keeping its position, and any other segment is picked from each
+// object in the array.
+function pick(value, segments, start) {
+  if (start === segments.length) {
+    return value;
+  }
+  if (!paths.isContainer(value)) {
+    return undefined;
+  }
+  var segment = segments[start];
+  var picked;
+  if (Array.isArray(value)) {
+    picked = [];
+    if (paths.isIndex(segment)) {
+      if (segment < value.length) {
+        picked[segment] = pick(value[segment], segments, start + 1);
+      }
+      return picked;
+    }
+    for (var i = 0; i < value.length; i++) {
+      if (paths.isContainer(value[i])) {
+        picked.push(pick(value[i], segments, start));
+      }
+    }
+    return picked;
+  }
+  picked = {};
+  if (value.hasOwnProperty(segment)) {
+    var child = pick(value[segment], segments, start + 1);
+    if (child !== undefined) {
+      picked[segment] = child;
+    }
+  }
+  return picked;
+}
+
+// Merges the fields picked for one path into the ones picked for others
+function merge(target, source) {
+  for (var key in source) {
+    if (source.hasOwnProperty(key)) {
+      if (paths.isContainer(target[key]) && paths.isContainer(source[key]) &&
+          Array.isArray(target[key]) === Array.isArray(source[key])) {
+        merge(target[key], source[key]);
+      } else {
+        target[key] = source[key];
+      }
+    }
+  }
+}
+
+function shallowCopy(value) {
+  if (Array.isArray(value)) {
+    return value.slice();
+  }
+  var copy = {};
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) {
+      copy[key] = value[key];
+    }
+  }
+  return copy;
+}
+
+// Returns value with what is at the path replaced by what change returns for
+// it, copying the objects and arrays along the way. Missing fields are left
+// alone, and if change returns undefined the field is removed, or an element
+// set to null.
+function transform(value, segments, start, change) {
+  if (!paths.isContainer(value)) {
+    return value;
+  }
+  var segment = segments[start];
+  if (Array.isArray(value) && !paths.isIndex(segment)) {
+    return value.map(function(element) {
+      return transform(element, segments, start, change);
+    });
+  }
+  if (!value.hasOwnProperty(segment)) {
+    return value;
+  }
+  var copy = shallowCopy(value);
+  var child = start === segments.length - 1 ? change(value[segment]) :
+    transform(value[segment], segments, start + 1, change);
+  if (child !== undefined) {
+    copy[segment] = child;
+  } else if (Array.isArray(copy)) {
+    copy[segment] = null;
+  } else {
+    delete copy[segment];
+  }
+  return copy;
+}
+
+// Returns value with a path set, creating missing objects along the way
+function assign(value, segments, start, field) {
+  var copy = paths.isContainer(value) ? shallowCopy(value) : {};
+  var segment = segments[start];
+  copy[segment] = start === segments.length - 1 ? field : assign(copy[segment], segments, start + 1, field);
+  return copy;
+}
+
+function remove() {
+  return undefined;
+}
+
+function sliceArray(slice) {
+  return function(value) {
+    if (!Array.isArray(value)) {
+      return value;
+    }
+    if (isWhole(slice)) {
+      return slice < 0 ? value.slice(slice) : value.slice(0, slice);
+    }
+    var start = slice[0] < 0 ? Math.max(value.length + slice[0], 0) : slice[0];
+    return value.slice(start, start + slice[1]);
+  };
+}
+
+// Projects an item with a compiled projection. context.elementMatches tells
+// whether an array element matches an $elemMatch condition, and
+// context.metaOf gives the value of a $meta field.
+function project(item, projection, context) {
+  var projected;
+  var i;
+  if (projection.inclusion) {
+    projected = {};
+    if (item._id !== undefined && projection.includeId) {
+      projected._id = item._id;
+    }
+    var included = projection.include.concat(projection.slices.map(function(slice) {
+      return slice.segments;
+    }));
+    for (i = 0; i < included.length; i++) {
+      merge(projected, pick(item, included[i], 0));
+    }
+  } else {
+    projected = shallowCopy(item);
+    for (i = 0; i < projection.exclude.length; i++) {
+      projected = transform(projected, projection.exclude[i], 0, remove);
+    }
+    if (!projection.includeId) {
+      delete projected._id;
+    }
+  }
+  for (i = 0; i < projection.slices.length; i++) {
+    projected = transform(projected, projection.slices[i].segments, 0, sliceArray(projection.slices[i].slice));
+  }
+  for (i = 0; i < projection.elemMatches.length; i++) {
+    var elemMatch = projection.elemMatches[i];
+    var elements = paths.getSegments(item, elemMatch.segments, 0);
+    var match = Array.isArray(elements) ? firstMatch(elements, elemMatch.condition, context) : -1;
+    if (match >= 0) {
+      projected = assign(projected, elemMatch.segments, 0, [elements[match]]);
+    }
+  }
+  for (i = 0; i < projection.metas.length; i++) {
+    var meta = projection.metas[i];
+    projected = assign(projected, meta.segments, 0, context.metaOf ? context.metaOf(item, meta.meta) : undefined);
+  }
+  return projected;
+}
+
+function firstMatch(elements, condition, context) {
+  for (var i = 0; i < elements.length; i++) {
+    if (context.elementMatches(elements[i], condition)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+module.exports = {
+  compile: compile,
+  project: project
+};
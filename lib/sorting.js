@@ -0,0 +1,131 @@
+'use strict';
+var paths = require('./paths');
+
+// Values of different types are ordered as MongoDB orders them, and a missing
+// field sorts like null
+var TYPE_ORDER = {
+  null: 0,
+  number: 1,
+  string: 2,
+  object: 3,
+  array: 4,
+  boolean: 5
+};
+
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (TYPE_ORDER.hasOwnProperty(typeof value)) {
+    return typeof value;
+  }
+  return 'object';
+}
+
+// Returns the rank of a value's type in the order above
+function typeOrder(value) {
+  return TYPE_ORDER[typeOf(value)];
+}
+
+function compareArrays(a, b) {
+  for (var i = 0; i < a.length && i < b.length; i++) {
+    var result = compareValues(a[i], b[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return a.length - b.length;
+}
+
+// Objects are compared field by field, by name and then by value
+function compareObjects(a, b) {
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+  for (var i = 0; i < keysA.length && i < keysB.length; i++) {
+    var result = compareValues(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return keysA.length - keysB.length;
+}
+
+// Returns a negative number if a sorts before b, a positive one if it sorts
+// after b and 0 if they are equal
+function compareValues(a, b) {
+  var typeA = typeOf(a);
+  var typeB = typeOf(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER[typeA] - TYPE_ORDER[typeB];
+  }
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'array':
+      return compareArrays(a, b);
+    case 'object':
+      return compareObjects(a, b);
+    default:
+      if (a < b) {
+        return -1;
+      }
+      return a > b ? 1 : 0;
+  }
+}
+
+function isMeta(direction) {
+  return direction !== null && typeof direction === 'object' && direction.$meta === 'textScore';
+}
+
+// Turns the sort option of find into a comparator. It is either a spec like
+// {age: -1, name: 1} ordering by each path in turn, 1 for ascending and -1 for
+// descending, or a comparator function. Comparators that return a boolean, as
+// in a.name < b.name, say whether a sorts after b.
+//
+// A field sorted by {$meta: 'textScore'} sorts by the score metaOf gives each
+// item instead, the highest first.
+function comparator(sort, metaOf) {
+  if (typeof sort === 'function') {
+    return function(a, b) {
+      var result = sort(a, b);
+      if (typeof result === 'boolean') {
+        return result ? 1 : -1;
+      }
+      return result;
+    };
+  }
+  if (sort === null || typeof sort !== 'object') {
+    throw new Error('Invalid sort: expected a spec like {name: 1} or a function');
+  }
+  var keys = Object.keys(sort);
+  for (var i = 0; i < keys.length; i++) {
+    if (sort[keys[i]] !== 1 && sort[keys[i]] !== -1 && !isMeta(sort[keys[i]])) {
+      throw new Error('Invalid sort direction for ' + keys[i] + ': ' + sort[keys[i]] +
+        ' expected 1, -1 or {$meta: \'textScore\'}');
+    }
+  }
+  return function(a, b) {
+    for (var i = 0; i < keys.length; i++) {
+      var direction = sort[keys[i]];
+      var result;
+      if (isMeta(direction)) {
+        result = metaOf ? compareValues(metaOf(b, direction.$meta), metaOf(a, direction.$meta)) : 0;
+      } else {
+        result = direction * compareValues(paths.get(a, keys[i]), paths.get(b, keys[i]));
+      }
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  };
+}
+
+module.exports = {
+  typeOrder: typeOrder,
+  compareValues: compareValues,
+  comparator: comparator
+};
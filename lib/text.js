@@ -0,0 +1,211 @@
+'use strict';
+
+// Words too common to be worth indexing
+var STOP_WORDS = {
+  english: toSet(('a about above after again against all am an and any are as at be because been before being ' +
+    'below between both but by can could did do does doing down during each few for from further had has ' +
+    'have having he her here hers herself him himself his how i if in into is it its itself just me more ' +
+    'most my myself no nor not now of off on once only or other our ours ourselves out over own same she ' +
+    'should so some such than that the their theirs them themselves then there these they this those ' +
+    'through to too under until up very was we were what when where which while who whom why will with ' +
+    'would you your yours yourself yourselves').split(' '))
+};
+
+function toSet(words) {
+  var set = {};
+  for (var i = 0; i < words.length; i++) {
+    set[words[i]] = true;
+  }
+  return set;
+}
+
+var LANGUAGES = ['english', 'none'];
+
+function checkLanguage(language) {
+  if (LANGUAGES.indexOf(language) < 0) {
+    throw new Error('Unsupported text language: ' + language + ' expected one of ' + LANGUAGES.join(', '));
+  }
+}
+
+// Splits text into lower case words, ignoring apostrophes so that "wish's"
+// is a single word
+function words(text) {
+  return text.toLowerCase().replace(/['\u2019]/g, '').split(/[^a-z0-9\u00c0-\u024f]+/).filter(function(word) {
+    return word.length > 0;
+  });
+}
+
+// Returns the terms of a text: its words without stop words, stemmed in
+// english. The 'none' language keeps every word as it is.
+function terms(text, language) {
+  var list = words(text);
+  if (language === 'none') {
+    return list;
+  }
+  var stopWords = STOP_WORDS[language];
+  var result = [];
+  for (var i = 0; i < list.length; i++) {
+    if (!stopWords[list[i]]) {
+      result.push(stem(list[i]));
+    }
+  }
+  return result;
+}
+
+// The Porter stemming algorithm, reducing english words to a common stem so
+// that "wishes", "wished" and "wishing" all become "wish"
+var STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+var STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+var STEP4_SUFFIXES = ['al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion',
+  'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'];
+
+var CONSONANT = '[^aeiou]';
+var VOWEL = '[aeiouy]';
+var CONSONANTS = CONSONANT + '[^aeiouy]*';
+var VOWELS = VOWEL + '[aeiou]*';
+// The measure of a stem is the number of vowel-consonant sequences in it
+var MEASURE_GT_0 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS);
+var MEASURE_EQ_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + '(' + VOWELS + ')?$');
+var MEASURE_GT_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + VOWELS + CONSONANTS);
+var HAS_VOWEL = new RegExp('^(' + CONSONANTS + ')?' + VOWEL);
+var ENDS_CVC = new RegExp('^' + CONSONANTS + VOWEL + '[^aeiouwxy]$');
+
+// Returns the longest of the suffixes that the word ends with, leaving at
+// least one letter before it
+function longestSuffix(word, suffixes) {
+  var longest;
+  for (var i = 0; i < suffixes.length; i++) {
+    var suffix = suffixes[i];
+    if (word.length > suffix.length && word.substring(word.length - suffix.length) === suffix &&
+        (longest === undefined || suffix.length > longest.length)) {
+      longest = suffix;
+    }
+  }
+  return longest;
+}
+
+function replaceSuffix(word, replacements, measure) {
+  var suffix = longestSuffix(word, Object.keys(replacements));
+  if (suffix === undefined) {
+    return word;
+  }
+  var base = word.substring(0, word.length - suffix.length);
+  return measure.test(base) ? base + replacements[suffix] : word;
+}
+
+function stem(word) {
+  if (word.length < 3) {
+    return word;
+  }
+  var firstY = word.charAt(0) === 'y';
+  if (firstY) {
+    word = 'Y' + word.substring(1);
+  }
+  var match;
+  var base;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(word))) {
+    word = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(word))) {
+    word = match[1] + match[2];
+  }
+
+  // Step 1b: past tenses and gerunds
+  if ((match = /^(.+?)eed$/.exec(word))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      word = word.substring(0, word.length - 1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+    word = match[1];
+    if (/(at|bl|iz)$/.test(word)) {
+      word += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(word)) {
+      word = word.substring(0, word.length - 1);
+    } else if (ENDS_CVC.test(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: a final y after a vowel becomes i
+  if ((match = /^(.+?)y$/.exec(word)) && HAS_VOWEL.test(match[1])) {
+    word = match[1] + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, STEP2_SUFFIXES, MEASURE_GT_0);
+  word = replaceSuffix(word, STEP3_SUFFIXES, MEASURE_GT_0);
+
+  // Step 4: remaining suffixes of long stems
+  var suffix = longestSuffix(word, STEP4_SUFFIXES);
+  if (suffix !== undefined) {
+    base = word.substring(0, word.length - suffix.length);
+    if (MEASURE_GT_1.test(base) && (suffix !== 'ion' || /[st]$/.test(base))) {
+      word = base;
+    }
+  }
+
+  // Step 5: a final e, and a final double l
+  if ((match = /^(.+?)e$/.exec(word))) {
+    base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      word = base;
+    }
+  }
+  if (/ll$/.test(word) && MEASURE_GT_1.test(word)) {
+    word = word.substring(0, word.length - 1);
+  }
+
+  if (firstY) {
+    word = 'y' + word.substring(1);
+  }
+  return word;
+}
+
+// Parses a $search string into the terms to look for, the phrases in double
+// quotes that have to appear as they are, and the terms prefixed with - that
+// must not appear
+function parseSearch(search, language) {
+  var phrases = [];
+  var negated = [];
+  var rest = String(search).replace(/"([^"]*)"/g, function(quoted, phrase) {
+    if (phrase.trim().length > 0) {
+      phrases.push(phrase.toLowerCase());
+    }
+    return ' ';
+  });
+  var positive = [];
+  var parts = rest.split(/\s+/);
+  for (var i = 0; i < parts.length; i++) {
+    if (parts[i].charAt(0) === '-') {
+      negated = negated.concat(terms(parts[i].substring(1), language));
+    } else {
+      positive = positive.concat(terms(parts[i], language));
+    }
+  }
+  for (var j = 0; j < phrases.length; j++) {
+    positive = positive.concat(terms(phrases[j], language));
+  }
+  return {
+    terms: unique(positive),
+    phrases: phrases,
+    negated: unique(negated)
+  };
+}
+
+function unique(list) {
+  return Object.keys(toSet(list));
+}
+
+module.exports = {
+  checkLanguage: checkLanguage,
+  terms: terms,
+  stem: stem,
+  parseSearch: parseSearch
+};
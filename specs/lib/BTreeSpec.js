@@ -0,0 +1,87 @@
+'use strict';
+var BTree = require('../../lib/BTree');
+
+function compareNumbers(a, b) {
+  return a - b;
+}
+
+function valuesOf(tree, before, reverse) {
+  var values = [];
+  tree.each(before, reverse, function(value) {
+    values.push(value);
+    return true;
+  });
+  return values;
+}
+
+function lowerThan(bound) {
+  return function(value) {
+    return value < bound;
+  };
+}
+
+function depthOf(node) {
+  return node.leaf ? 1 : 1 + depthOf(node.children[0]);
+}
+
+describe('BTree', function() {
+  var tree;
+  var values;
+
+  beforeEach(function() {
+    tree = new BTree(compareNumbers);
+    values = [];
+    // Enough values in a shuffled order to split leaves and inner nodes
+    for (var i = 0; i < 5000; i++) {
+      values.push((i * 7919) % 5000);
+    }
+    values.forEach(function(value) {
+      tree.insert(value);
+    });
+  });
+
+  it('keeps the values in order as nodes split', function() {
+    var sorted = values.slice().sort(compareNumbers);
+    expect(tree.size).toBe(5000);
+    expect(depthOf(tree.root)).toBeGreaterThan(2);
+    expect(valuesOf(tree)).toEqual(sorted);
+    expect(valuesOf(tree, undefined, true)).toEqual(sorted.reverse());
+    expect(tree.insert(42)).toBe(false);
+    expect(tree.size).toBe(5000);
+  });
+
+  it('seeks forwards and backwards from a bound', function() {
+    var found = [];
+    tree.each(lowerThan(1234.5), false, function(value) {
+      found.push(value);
+      return found.length < 3;
+    });
+    expect(found).toEqual([1235, 1236, 1237]);
+    found = [];
+    tree.each(lowerThan(1234.5), true, function(value) {
+      found.push(value);
+      return found.length < 3;
+    });
+    expect(found).toEqual([1234, 1233, 1232]);
+    expect(valuesOf(tree, lowerThan(6000))).toEqual([]);
+    expect(valuesOf(tree, lowerThan(-1), true)).toEqual([]);
+  });
+
+  it('merges nodes back together as values are removed', function() {
+    values.forEach(function(value) {
+      if (value % 10 !== 0) {
+        expect(tree.remove(value)).toBe(true);
+      }
+    });
+    expect(tree.remove(1)).toBe(false);
+    expect(tree.size).toBe(500);
+    expect(valuesOf(tree, lowerThan(4955))).toEqual([4960, 4970, 4980, 4990]);
+    expect(valuesOf(tree, lowerThan(45), true)).toEqual([40, 30, 20, 10, 0]);
+    values.forEach(function(value) {
+      tree.remove(value);
+    });
+    expect(tree.size).toBe(0);
+    expect(tree.root.leaf).toBe(true);
+    expect(valuesOf(tree)).toEqual([]);
+  });
+});
@@ -1,9 +1,48 @@
 'use strict';
+var fs = require('fs');
+var path = require('path');
+var Promise = require('bluebird');
+var crc32 = require('../../lib/crc32');
 var Database = require('../../lib/Database');
 
 var fruitDb = 'specs/data/fruit.db';
 var helloWorldDb = 'specs/data/helloWorld.db';
 
+// Every spec shares the fixtures, so they are only opened for reading
+function openFixture(fileName) {
+  return new Database({
+    fileName: fileName,
+    lock: 'shared-readonly'
+  });
+}
+
+// The _ids and names of results in the order they were found, or sorted for
+// results that come in no particular order
+function ids(results) {
+  return results.map(function(item) {
+    return item._id;
+  });
+}
+
+function names(results) {
+  return results.map(function(item) {
+    return item.name;
+  });
+}
+
+function sortedIds(results) {
+  return ids(results).sort();
+}
+
+function sortedNames(results) {
+  return names(results).sort();
+}
+
+// Lets go of a database without closing it, as if its process had exited
+function abandon(database) {
+  return database.lock.release();
+}
+
 var expectFruits = [
   'apple',
   'coconut',
@@ -18,7 +57,7 @@ var expectFruits = [
 describe('Database', function() {
   describe('load', function() {
     it('loads a database from a file', function(done) {
-      var database = new Database(helloWorldDb);
+      var database = openFixture(helloWorldDb);
       database.load()
         .then(function() {
           expect(database.cache.length).toBe(2);
@@ -52,435 +91,3284 @@ describe('Database', function() {
         });
     });
 
-    it('blocks are loaded into memory until the cache is full', function(done) {
-      var database = new Database(fruitDb);
-      database.maxCacheSize = 200;
+    it('rolls back a batch that was interrupted before it committed', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
       database.load()
         .then(function() {
-          expect(database.cache.length).toBe(3);
+          return database.journal.begin();
+        })
+        .then(function() {
+          var garbage = new Buffer(database.headerLength + database.blockSize);
+          garbage.fill(0);
+          return database.journal.write(garbage, 0, garbage.length, 0);
+        })
+        .then(function() {
+          return abandon(database);
+        })
+        .then(function() {
+          return new Database({
+            fileName: database.fileName,
+            lock: 'shared-readonly'
+          }).load();
+        })
+        .then(function() {
+          fail('Expected a reader to reject the file');
+        }, function(error) {
+          expect(error instanceof Database.RecoveryRequiredError).toBe(true);
+          // The reader left the file and the journal alone
+          expect(fs.readFileSync(database.fileName).readUInt32LE(0)).toBe(0);
+          expect(fs.existsSync(database.fileName + '.journal')).toBe(true);
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
           expect(database.blocks).toBe(8);
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
           done();
         });
     });
-  });
 
-  describe('iterate', function() {
-    it('iterates over a loaded database', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
+    it('loads the primary key index written by close without scanning', function(done) {
+      var database = new Database();
       database.load()
         .then(function() {
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          return database.insert([
+            {_id: 'a', name: 'aladdin'},
+            {_id: 'b', name: 'jasmine', wishes: new Array(20).join('a palace ')}
+          ]);
         })
         .then(function() {
-          expect(fruits).toEqual(expectFruits);
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          spyOn(database, 'iterateOutOfCore').and.callThrough();
+          return database.load();
+        })
+        .then(function() {
+          expect(database.iterateOutOfCore).not.toHaveBeenCalled();
+          expect(Object.keys(database.items).sort()).toEqual(['a', 'b']);
+          expect(database.cache.length).toBe(0);
+          return database.find({name: 'jasmine'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].wishes).toContain('a palace');
           done();
         });
     });
 
-    it('quits early if handler returns false', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
-      var count = 0;
+    it('scans every block when the index is out of date', function(done) {
+      var database = new Database();
       database.load()
         .then(function() {
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            count++;
-            if (count > 3) {
-              return false;
-            }
-            return true;
-          });
+          return database.insert({_id: 'a', name: 'aladdin'});
         })
-        .then(function(completed) {
-          expect(completed).toBe(false);
-          expect(fruits).toEqual(expectFruits.slice(0, 4));
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          // The process exits without closing after this change
+          return database.insert({_id: 'b', name: 'jasmine'});
+        })
+        .then(function() {
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          spyOn(database, 'iterateOutOfCore').and.callThrough();
+          return database.load();
+        })
+        .then(function() {
+          expect(database.iterateOutOfCore).toHaveBeenCalled();
+          expect(Object.keys(database.items).sort()).toEqual(['a', 'b']);
+          expect(database.blocks).toBe(2);
           done();
         });
     });
 
-    it('falls back on iterateOutOfCore when the db exceeds the maxCacheSize', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
+    it('blocks are loaded into memory until the cache is full', function(done) {
+      var database = openFixture(fruitDb);
       database.maxCacheSize = 200;
       database.load()
         .then(function() {
           expect(database.cache.length).toBe(3);
           expect(database.blocks).toBe(8);
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          done();
+        });
+    });
+
+    it('counts the overflow blocks of an entry against the cache', function(done) {
+      var database = new Database({
+        blockSize: 64
+      });
+      var text = [];
+      for (var i = 0; i < 40; i++) {
+        text.push(i * 7919);
+      }
+      database.load()
+        .then(function() {
+          database.maxCacheSize = 64 * 4;
+          return database.insert(['a', 'b', 'c', 'd'].map(function(id) {
+            return {_id: id, text: text.join(' ')};
+          }));
         })
         .then(function() {
-          expect(fruits).toEqual(expectFruits);
+          var blocks = 1 + database.items.a.overflow.length;
+          expect(blocks).toBeGreaterThan(1);
+          expect(database.cache.length).toBe(Math.floor(4 / blocks));
+          expect(database.cacheBlocks).toBe(database.cache.length * blocks);
           done();
         });
     });
   });
 
-  describe('iterateOutOfCore', function() {
-    it('iterates over a database on disk', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
-      var count = 0;
+  describe('strict load', function() {
+    var fileName;
+    beforeEach(function(done) {
+      var database = new Database({
+        blockSize: 32
+      });
       database.load()
         .then(function() {
-          return database.iterateOutOfCore(0, function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          fileName = database.fileName;
+          return database.insert([
+            {_id: 'a', name: 'aladdin'},
+            {_id: 'b', name: 'jasmine'},
+            {_id: 'c', name: 'jafar'}
+          ]);
         })
-        .then(function(completed) {
-          expect(completed).toBe(true);
-          expect(fruits).toEqual(expectFruits);
+        .then(function() {
+          return database.close();
+        })
+        .then(done);
+    });
+
+    function overwrite(position, buffer) {
+      var fd = fs.openSync(fileName, 'r+');
+      fs.writeSync(fd, buffer, 0, buffer.length, position);
+      fs.closeSync(fd);
+    }
+
+    function expectLoadToFail(ErrorType, done) {
+      var contents = fs.readFileSync(fileName);
+      new Database(fileName).load()
+        .then(function() {
+          fail('Expected load to reject');
+        }, function(error) {
+          expect(error instanceof ErrorType).toBe(true);
+          expect(fs.readFileSync(fileName)).toEqual(contents);
           done();
         });
+    }
+
+    it('rejects a file with the wrong magic', function(done) {
+      overwrite(0, new Buffer('djin'));
+      expectLoadToFail(Database.InvalidMagicError, done);
     });
 
-    it('iterates over a database on disk with a starting block', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
-      var count = 0;
+    it('rejects a file from an unsupported version', function(done) {
+      overwrite(4, new Buffer([Database.VERSION + 1]));
+      expectLoadToFail(Database.UnsupportedVersionError, done);
+    });
+
+    it('rejects a file with a corrupt header', function(done) {
+      overwrite(30, new Buffer([1]));
+      expectLoadToFail(Database.CorruptHeaderError, done);
+    });
+
+    it('rejects a file written with a codec that is not registered', function(done) {
+      var header = fs.readFileSync(fileName).slice(0, Database.HEADER_LENGTH);
+      header.fill(0, 26, 42);
+      header.write('missing', 26);
+      header.writeUInt32LE(crc32(header, 0, Database.HEADER_LENGTH - 4), Database.HEADER_LENGTH - 4);
+      overwrite(0, header);
+      expectLoadToFail(Database.UnknownCodecError, done);
+    });
+
+    it('rejects a file with a record that cannot be parsed', function(done) {
+      var database = new Database({
+        fileName: fileName,
+        compressed: false
+      });
+      var item = new Buffer('{"_id": "d", "name": ');
       database.load()
         .then(function() {
-          return database.iterateOutOfCore(4, function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          // Write a record with a valid checksum but an invalid payload
+          return database.insert({_id: 'd', name: ''});
         })
-        .then(function(completed) {
-          expect(completed).toBe(true);
-          expect(fruits[0]).not.toBeDefined();
-          expect(fruits[1]).not.toBeDefined();
-          expect(fruits[2]).not.toBeDefined();
-          expect(fruits[3]).not.toBeDefined();
-          expect(fruits.slice(4, 8)).toEqual(expectFruits.slice(4, 8));
-          done();
+        .then(function() {
+          var block = database.items.d.block;
+          var buffer = new Buffer(database.blockSize);
+          var fd = fs.openSync(fileName, 'r+');
+          fs.readSync(fd, buffer, 0, buffer.length, database.headerLength + block * database.blockSize);
+          fs.closeSync(fd);
+          item.copy(buffer, Database.BLOCK_HEADER_LENGTH);
+          buffer.writeUInt32LE(item.length, 1);
+          buffer.writeUInt32LE(crc32(buffer, Database.BLOCK_HEADER_LENGTH, buffer.length, crc32(buffer, 0, 9)), 9);
+          overwrite(database.headerLength + block * database.blockSize, buffer);
+          return abandon(database);
+        })
+        .then(function() {
+          expectLoadToFail(Database.RecordParseError, done);
         });
     });
 
-    it('quits early if handler returns false', function(done) {
-      var database = new Database(fruitDb);
-      var fruits = [];
-      var count = 0;
+    it('starts over with an empty database when strict is off', function(done) {
+      overwrite(0, new Buffer('djin'));
+      var database = new Database({
+        fileName: fileName,
+        strict: false
+      });
       database.load()
         .then(function() {
-          return database.iterateOutOfCore(0, function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            count++;
-            if (count > 3) {
-              return false;
-            }
-            return true;
-          });
+          expect(database.blocks).toBe(0);
+          return database.insert({_id: 'd', name: 'genie'});
         })
-        .then(function(completed) {
-          expect(completed).toBe(false);
-          expect(fruits).toEqual(expectFruits.slice(0, 4));
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(Object.keys(database.items)).toEqual(['d']);
           done();
         });
     });
   });
 
-  describe('find', function() {
-    var db;
-    beforeAll(function(done) {
-      db = new Database(fruitDb);
-      db.load().then(done);
+  describe('lock', function() {
+    var fileName;
+    // The parent of the test process is alive and is not this process
+    var otherPid = process.ppid;
+    beforeEach(function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          fileName = database.fileName;
+          return database.close();
+        })
+        .then(done);
     });
 
-    it('finds matching items in a database', function(done) {
-      db.find({color: 'red'})
-        .then(function(results) {
-          expect(results.length).toBe(2);
-          var names = [];
-          for (var i = 0; i < results.length; i++) {
-            names.push(results[i].name);
-          }
-          names.sort();
-          expect(names).toEqual(['apple', 'strawberries']);
+    afterEach(function() {
+      [fileName + '.lock', fileName + '.lock-' + otherPid].forEach(function(lockFile) {
+        if (fs.existsSync(lockFile)) {
+          fs.unlinkSync(lockFile);
+        }
+      });
+    });
+
+    function expectLocked(options, mode, done) {
+      options.fileName = fileName;
+      new Database(options).load()
+        .then(function() {
+          fail('Expected load to reject');
+        }, function(error) {
+          expect(error instanceof Database.DatabaseLockedError).toBe(true);
+          expect(error.pid).toBe(otherPid);
+          expect(error.mode).toBe(mode);
           done();
         });
-    });
+    }
 
-    it('finds the first match in the database', function(done) {
-      var database = new Database(fruitDb);
+    it('holds a lock file with the pid until the database is closed', function(done) {
+      var database = new Database(fileName);
       database.load()
         .then(function() {
-          return database.find({color: 'red'}, {limit: 1})
-            .then(function(results) {
-              expect(results.length).toBe(1);
-              expect(results[0].name).toBe('apple');
-              done();
-            });
+          expect(fs.readFileSync(fileName + '.lock').toString()).toBe(String(process.pid));
+          return database.close();
+        })
+        .then(function() {
+          expect(fs.existsSync(fileName + '.lock')).toBe(false);
+          done();
         });
     });
 
-    it('finds the first match with a sort', function(done) {
-      var database = new Database(fruitDb);
+    it('rejects a second writer', function(done) {
+      fs.writeFileSync(fileName + '.lock', String(otherPid));
+      expectLocked({}, 'exclusive', done);
+    });
+
+    it('rejects a writer while another process is reading', function(done) {
+      fs.writeFileSync(fileName + '.lock-' + otherPid, String(otherPid));
+      expectLocked({}, 'shared-readonly', done);
+    });
+
+    it('rejects a reader while another process is writing', function(done) {
+      fs.writeFileSync(fileName + '.lock', String(otherPid));
+      expectLocked({lock: 'shared-readonly'}, 'exclusive', done);
+    });
+
+    it('rejects a second writer in the same process', function(done) {
+      var database = new Database(fileName);
+      var error;
       database.load()
         .then(function() {
-          return database.find({color: 'red'}, {
-            limit: 1,
-            sort: function(a, b) {
-              return a.name < b.name;
-            }
-          }).then(function(results) {
-              expect(results.length).toBe(1);
-              expect(results[0].name).toBe('strawberries');
-              done();
-            });
+          return new Database(fileName).load();
+        })
+        .catch(function(lockedError) {
+          error = lockedError;
+        })
+        .then(function() {
+          expect(error instanceof Database.DatabaseLockedError).toBe(true);
+          expect(error.pid).toBe(process.pid);
+          return new Database({
+            fileName: fileName,
+            lock: 'shared-readonly'
+          }).load();
+        })
+        .then(function() {
+          fail('Expected load to reject');
+        }, function(error) {
+          expect(error instanceof Database.DatabaseLockedError).toBe(true);
+          return database.close();
+        })
+        .then(function() {
+          // Neither the lock files nor the files they are written to are left
+          expect(fs.readdirSync(path.dirname(fileName)).filter(function(name) {
+            return name.indexOf(path.basename(fileName) + '.lock') >= 0;
+          })).toEqual([]);
+          done();
         });
     });
 
-    it('finds with a projection', function(done) {
-      var database = new Database(fruitDb);
+    it('removes a stale lock left by a process that is no longer running', function(done) {
+      var pid = require('child_process').spawnSync(process.execPath, ['-e', '']).pid;
+      fs.writeFileSync(fileName + '.lock', String(pid));
+      var database = new Database(fileName);
       database.load()
         .then(function() {
-          return database.find({color: 'red'}, {
-            projections: {
-              name: true
-            }
-          }).then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].name).toBe('apple');
-            expect(results[0]._id).toBeDefined();
-            expect(results[0].color).not.toBeDefined();
-            expect(results[1].name).toBe('strawberries');
-            expect(results[1]._id).toBeDefined();
-            expect(results[1].color).not.toBeDefined();
-            done();
-          });
-        });
+          expect(fs.readFileSync(fileName + '.lock').toString()).toBe(String(process.pid));
+          // The stale lock file was moved aside and removed, not left behind
+          expect(fs.readdirSync(path.dirname(fileName)).filter(function(name) {
+            return name.indexOf(path.basename(fileName) + '.lock') >= 0;
+          })).toEqual([path.basename(fileName) + '.lock']);
+          return database.close();
+        })
+        .then(done);
     });
 
-    it('finds with a projection, ommitting _id', function(done) {
-      var database = new Database(fruitDb);
+    it('shares the file between readers and rejects writes', function(done) {
+      fs.writeFileSync(fileName + '.lock-' + otherPid, String(otherPid));
+      var database = new Database({
+        fileName: fileName,
+        lock: 'shared-readonly'
+      });
       database.load()
         .then(function() {
-          return database.find({color: 'red'}, {
-            projections: {
-              _id: false,
-              name: true
-            }
-          }).then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].name).toBe('apple');
-            expect(results[0]._id).not.toBeDefined();
-            expect(results[0].color).not.toBeDefined();
-            expect(results[1].name).toBe('strawberries');
-            expect(results[1]._id).not.toBeDefined();
-            expect(results[1].color).not.toBeDefined();
-            done();
-          });
+          return database.find({name: 'grape'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          return database.insert({_id: 'kiwi'});
+        })
+        .then(function() {
+          fail('Expected insert to reject');
+        }, function() {
+          return database.close();
+        })
+        .then(function() {
+          expect(fs.existsSync(fileName + '.lock-' + process.pid)).toBe(false);
+          done();
         });
     });
 
-    describe('supports built-in operator functions', function() {
-      it('$lt', function(done) {
-        db.find({_id: {$lt: 3}})
-          .then(function(results) {
-            expect(results.length).toBe(3);
-            expect(results[0].name).toBe('apple');
-            expect(results[1].name).toBe('coconut');
-            expect(results[2].name).toBe('banana');
-            done();
-          });
+    it('does not lock with mode none', function(done) {
+      fs.writeFileSync(fileName + '.lock', String(otherPid));
+      var database = new Database({
+        fileName: fileName,
+        lock: 'none'
       });
+      database.load()
+        .then(function() {
+          expect(fs.readFileSync(fileName + '.lock').toString()).toBe(String(otherPid));
+          return database.close();
+        })
+        .then(done);
+    });
+  });
 
-      it('$lte', function(done) {
-        db.find({_id: {$lte: 3}})
+  describe('backup', function() {
+    it('copies the database as of the call while writes continue', function(done) {
+      var backupFileName;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          backupFileName = database.fileName + '.backup';
+          var before = database.insert({_id: 'kiwi', name: 'kiwi'});
+          var backup = database.backup(backupFileName);
+          var after = database.remove({name: 'grape'});
+          return Promise.all([before, backup, after]);
+        })
+        .then(function() {
+          database = new Database(backupFileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({$or: [{name: 'kiwi'}, {name: 'grape'}]});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          return database.verify();
+        })
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          return database.close();
+        })
+        .then(done);
+    });
+  });
+
+  describe('restore', function() {
+    var backupFileName;
+    var fileName;
+    beforeEach(function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          fileName = database.fileName;
+          backupFileName = fileName + '.backup';
+          return database.backup(backupFileName);
+        })
+        .then(function() {
+          return database.remove({});
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(done);
+    });
+
+    it('replaces the database with a verified backup', function(done) {
+      Database.restore(backupFileName, fileName)
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          var database = new Database(fileName);
+          return database.load()
+            .then(function() {
+              return database.find({});
+            });
+        })
+        .then(function(results) {
+          expect(results.length).toBe(8);
+          done();
+        });
+    });
+
+    it('leaves the database untouched if the backup does not verify', function(done) {
+      var contents = fs.readFileSync(fileName);
+      var fd = fs.openSync(backupFileName, 'r+');
+      fs.writeSync(fd, new Buffer([0xFF]), 0, 1, Database.HEADER_LENGTH + 20);
+      fs.closeSync(fd);
+      Database.restore(backupFileName, fileName)
+        .then(function() {
+          fail('Expected restore to reject');
+        }, function(error) {
+          expect(error instanceof Database.InvalidBackupError).toBe(true);
+          expect(error.cause).toBeDefined();
+          expect(fs.readFileSync(fileName)).toEqual(contents);
+          done();
+        });
+    });
+
+    it('rejects while the database is open in this process', function(done) {
+      var contents = fs.readFileSync(fileName);
+      var database = new Database(fileName);
+      database.load()
+        .then(function() {
+          return Database.restore(backupFileName, fileName);
+        })
+        .then(function() {
+          fail('Expected restore to reject');
+        }, function(error) {
+          expect(error instanceof Database.DatabaseLockedError).toBe(true);
+          expect(error.pid).toBe(process.pid);
+          expect(fs.readFileSync(fileName)).toEqual(contents);
+          return database.insert({_id: 'kiwi', name: 'kiwi'});
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['kiwi']);
+          return database.close();
+        })
+        .then(done);
+    });
+  });
+
+  describe('codecs', function() {
+    ['none', 'smaz', 'deflate', 'brotli'].forEach(function(codec) {
+      it('stores records with the ' + codec + ' codec and reads it from the header', function(done) {
+        var database = new Database({
+          codec: codec
+        });
+        database.load()
+          .then(function() {
+            return database.insert({_id: 'a', name: 'aladdin', wishes: [1, 2, 3]});
+          })
+          .then(function() {
+            return database.close();
+          })
+          .then(function() {
+            database = new Database(database.fileName);
+            expect(database.codec).toBe('smaz');
+            return database.load();
+          })
+          .then(function() {
+            expect(database.codec).toBe(codec);
+            return database.find({_id: 'a'});
+          })
           .then(function(results) {
-            expect(results.length).toBe(4);
-            expect(results[0].name).toBe('apple');
-            expect(results[1].name).toBe('coconut');
-            expect(results[2].name).toBe('banana');
-            expect(results[3].name).toBe('grape');
+            expect(results[0].wishes).toEqual([1, 2, 3]);
             done();
           });
       });
+    });
 
-      it('$gt', function(done) {
-        db.find({_id: {$gt: 6}})
-          .then(function(results) {
-            expect(results.length).toBe(1);
-            expect(results[0].name).toBe('strawberries');
-            done();
+    it('uses a registered codec', function(done) {
+      var base64 = {
+        encode: function(string) {
+          return new Buffer(new Buffer(string).toString('base64'));
+        },
+        decode: function(buffer) {
+          return new Buffer(buffer.toString(), 'base64').toString();
+        }
+      };
+      Database.registerCodec('base64', base64);
+      expect(function() {
+        Database.registerCodec('base64', base64);
+      }).toThrowError('The codec base64 is already registered');
+      expect(function() {
+        Database.registerCodec('smaz', base64);
+      }).toThrowError('The codec smaz is already registered');
+      var database = new Database({
+        codec: 'base64'
+      });
+      database.load()
+        .then(function() {
+          return database.insert({_id: 'a', name: 'aladdin'});
+        })
+        .then(function() {
+          var contents = fs.readFileSync(database.fileName).toString();
+          expect(contents).toContain(new Buffer('{"_id":"a"').toString('base64').slice(0, 8));
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({name: 'aladdin'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          done();
+        });
+    });
+
+    it('rejects a codec that has not been registered', function(done) {
+      new Database({codec: 'missing'}).load()
+        .then(function() {
+          fail('Expected load to reject');
+        }, function(error) {
+          expect(error instanceof Database.UnknownCodecError).toBe(true);
+          done();
+        });
+    });
+  });
+
+  describe('encryption', function() {
+    var fileName;
+    beforeEach(function(done) {
+      var database = new Database({
+        codec: 'none',
+        encryptionKey: 'open sesame'
+      });
+      database.load()
+        .then(function() {
+          fileName = database.fileName;
+          return database.insert([
+            {_id: 'a', name: 'aladdin'},
+            {_id: 'b', name: 'jasmine'}
+          ]);
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(done);
+    });
+
+    function expectLoadToFail(options, done) {
+      var contents = fs.readFileSync(fileName);
+      options.fileName = fileName;
+      new Database(options).load()
+        .then(function() {
+          fail('Expected load to reject');
+        }, function(error) {
+          expect(error instanceof Database.InvalidKeyError).toBe(true);
+          expect(fs.readFileSync(fileName)).toEqual(contents);
+          done();
+        });
+    }
+
+    it('encrypts every record and reads them back with the same key', function(done) {
+      expect(fs.readFileSync(fileName).toString()).not.toContain('aladdin');
+      var database = new Database({
+        fileName: fileName,
+        encryptionKey: 'open sesame'
+      });
+      database.load()
+        .then(function() {
+          return database.find({name: 'jasmine'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          return database.verify();
+        })
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          done();
+        });
+    });
+
+    it('rejects the wrong key without replacing the file', function(done) {
+      expectLoadToFail({
+        encryptionKey: 'open barley',
+        strict: false
+      }, done);
+    });
+
+    it('rejects an encrypted file opened without a key', function(done) {
+      expectLoadToFail({}, done);
+    });
+
+    it('derives the key from a passphrase with a random salt recorded in the header', function(done) {
+      var database = new Database({
+        encryptionKey: 'open sesame'
+      });
+      database.load()
+        .then(function() {
+          var header = fs.readFileSync(fileName);
+          var otherHeader = fs.readFileSync(database.fileName);
+          // PBKDF2 with its iteration count, then the salt
+          expect(header.readUInt8(58)).toBe(1);
+          expect(header.readUInt32LE(60)).toBe(100000);
+          expect(header.slice(64, 80)).not.toEqual(otherHeader.slice(64, 80));
+          expect(header.slice(42, 54)).not.toEqual(otherHeader.slice(42, 54));
+          done();
+        });
+    });
+
+    it('uses a Buffer key as it is and rejects a passphrase in its place', function(done) {
+      var key = new Buffer(32);
+      key.fill(7);
+      var database = new Database({
+        encryptionKey: key
+      });
+      database.load()
+        .then(function() {
+          return database.insert({_id: 'a', name: 'aladdin'});
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          expect(fs.readFileSync(database.fileName).readUInt8(58)).toBe(0);
+          database = new Database({
+            fileName: database.fileName,
+            encryptionKey: key
           });
+          return database.load();
+        })
+        .then(function() {
+          return database.find({_id: 'a'});
+        })
+        .then(function(results) {
+          expect(results[0].name).toBe('aladdin');
+          return database.close();
+        })
+        .then(function() {
+          fileName = database.fileName;
+          expectLoadToFail({
+            encryptionKey: key.toString('hex')
+          }, done);
+        });
+    });
+
+    it('rejects an invalid key', function() {
+      expect(function() {
+        return new Database({
+          encryptionKey: new Buffer(16)
+        });
+      }).toThrowError(/32 bytes/);
+    });
+  });
+
+  describe('repair', function() {
+    var fileName;
+    var blockSize;
+    beforeEach(function(done) {
+      var database = new Database({
+        blockSize: 64
       });
+      database.load()
+        .then(function() {
+          fileName = database.fileName;
+          blockSize = database.blockSize;
+          return database.insert([
+            {_id: 'a', name: 'aladdin'},
+            {_id: 'b', name: 'jasmine', wishes: new Array(10).join('a palace ')},
+            {_id: 'c', name: 'jafar'}
+          ]);
+        })
+        .then(done);
+    });
+
+    it('recovers every record that can still be read into a new file', function(done) {
+      var fd = fs.openSync(fileName, 'r+');
+      fs.writeSync(fd, new Buffer('garbage'), 0, 7, Database.HEADER_LENGTH + blockSize + 20);
+      fs.closeSync(fd);
+      Database.repair(fileName)
+        .then(function(report) {
+          expect(report.fileName).toBe(fileName + '.repaired');
+          expect(report.recovered).toBe(2);
+          expect(report.corruptBlocks.length).toBe(1);
+          expect(report.corruptBlocks[0].block).toBe(1);
+          var database = new Database(report.fileName);
+          return database.load()
+            .then(function() {
+              return database.find({});
+            });
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['aladdin', 'jafar']);
+          done();
+        });
+    });
+
+    it('finds the block size when the header is unreadable', function(done) {
+      var fd = fs.openSync(fileName, 'r+');
+      var header = new Buffer(Database.HEADER_LENGTH);
+      header.fill(0xFF);
+      fs.writeSync(fd, header, 0, header.length, 0);
+      fs.closeSync(fd);
+      Database.repair(fileName, {
+        fileName: fileName + '.salvaged'
+      })
+        .then(function(report) {
+          expect(report.recovered).toBe(3);
+          expect(report.corruptBlocks).toEqual([]);
+          var database = new Database(report.fileName);
+          return database.load()
+            .then(function() {
+              expect(database.blockSize).toBe(blockSize);
+              return database.find({_id: 'b'});
+            });
+        })
+        .then(function(results) {
+          expect(results[0].wishes).toContain('a palace');
+          done();
+        });
+    });
+  });
+
+  describe('iterate', function() {
+    it('iterates over a loaded database', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      database.load()
+        .then(function() {
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function() {
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+
+    it('quits early if handler returns false', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      var count = 0;
+      database.load()
+        .then(function() {
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            count++;
+            if (count > 3) {
+              return false;
+            }
+            return true;
+          });
+        })
+        .then(function(completed) {
+          expect(completed).toBe(false);
+          expect(fruits).toEqual(expectFruits.slice(0, 4));
+          done();
+        });
+    });
+
+    it('falls back on iterateOutOfCore when the db exceeds the maxCacheSize', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      database.maxCacheSize = 200;
+      database.load()
+        .then(function() {
+          expect(database.cache.length).toBe(3);
+          expect(database.blocks).toBe(8);
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function() {
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+  });
+
+  describe('iterateOutOfCore', function() {
+    it('iterates over a database on disk', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      var count = 0;
+      database.load()
+        .then(function() {
+          return database.iterateOutOfCore(0, function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function(completed) {
+          expect(completed).toBe(true);
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+
+    it('iterates over a database on disk with a starting block', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      var count = 0;
+      database.load()
+        .then(function() {
+          return database.iterateOutOfCore(4, function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function(completed) {
+          expect(completed).toBe(true);
+          expect(fruits[0]).not.toBeDefined();
+          expect(fruits[1]).not.toBeDefined();
+          expect(fruits[2]).not.toBeDefined();
+          expect(fruits[3]).not.toBeDefined();
+          expect(fruits.slice(4, 8)).toEqual(expectFruits.slice(4, 8));
+          done();
+        });
+    });
+
+    it('quits early if handler returns false', function(done) {
+      var database = openFixture(fruitDb);
+      var fruits = [];
+      var count = 0;
+      database.load()
+        .then(function() {
+          return database.iterateOutOfCore(0, function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            count++;
+            if (count > 3) {
+              return false;
+            }
+            return true;
+          });
+        })
+        .then(function(completed) {
+          expect(completed).toBe(false);
+          expect(fruits).toEqual(expectFruits.slice(0, 4));
+          done();
+        });
+    });
+  });
+
+  describe('find', function() {
+    var db;
+    beforeAll(function(done) {
+      db = openFixture(fruitDb);
+      db.load().then(done);
+    });
+
+    it('finds matching items in a database', function(done) {
+      db.find({color: 'red'})
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          var names = [];
+          for (var i = 0; i < results.length; i++) {
+            names.push(results[i].name);
+          }
+          names.sort();
+          expect(names).toEqual(['apple', 'strawberries']);
+          done();
+        });
+    });
+
+    it('finds the first match in the database', function(done) {
+      var database = openFixture(fruitDb);
+      database.load()
+        .then(function() {
+          return database.find({color: 'red'}, {limit: 1})
+            .then(function(results) {
+              expect(results.length).toBe(1);
+              expect(results[0].name).toBe('apple');
+              done();
+            });
+        });
+    });
+
+    it('finds the first match with a sort', function(done) {
+      var database = openFixture(fruitDb);
+      database.load()
+        .then(function() {
+          return database.find({color: 'red'}, {
+            limit: 1,
+            sort: function(a, b) {
+              return a.name < b.name;
+            }
+          }).then(function(results) {
+              expect(results.length).toBe(1);
+              expect(results[0].name).toBe('strawberries');
+              done();
+            });
+        });
+    });
+
+    it('finds with a projection', function(done) {
+      var database = openFixture(fruitDb);
+      database.load()
+        .then(function() {
+          return database.find({color: 'red'}, {
+            projections: {
+              name: true
+            }
+          }).then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].name).toBe('apple');
+            expect(results[0]._id).toBeDefined();
+            expect(results[0].color).not.toBeDefined();
+            expect(results[1].name).toBe('strawberries');
+            expect(results[1]._id).toBeDefined();
+            expect(results[1].color).not.toBeDefined();
+            done();
+          });
+        });
+    });
+
+    it('finds with a projection, ommitting _id', function(done) {
+      var database = openFixture(fruitDb);
+      database.load()
+        .then(function() {
+          return database.find({color: 'red'}, {
+            projections: {
+              _id: false,
+              name: true
+            }
+          }).then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].name).toBe('apple');
+            expect(results[0]._id).not.toBeDefined();
+            expect(results[0].color).not.toBeDefined();
+            expect(results[1].name).toBe('strawberries');
+            expect(results[1]._id).not.toBeDefined();
+            expect(results[1].color).not.toBeDefined();
+            done();
+          });
+        });
+    });
+
+    describe('supports built-in operator functions', function() {
+      it('$lt', function(done) {
+        db.find({_id: {$lt: 3}})
+          .then(function(results) {
+            expect(results.length).toBe(3);
+            expect(results[0].name).toBe('apple');
+            expect(results[1].name).toBe('coconut');
+            expect(results[2].name).toBe('banana');
+            done();
+          });
+      });
+
+      it('$lte', function(done) {
+        db.find({_id: {$lte: 3}})
+          .then(function(results) {
+            expect(results.length).toBe(4);
+            expect(results[0].name).toBe('apple');
+            expect(results[1].name).toBe('coconut');
+            expect(results[2].name).toBe('banana');
+            expect(results[3].name).toBe('grape');
+            done();
+          });
+      });
+
+      it('$gt', function(done) {
+        db.find({_id: {$gt: 6}})
+          .then(function(results) {
+            expect(results.length).toBe(1);
+            expect(results[0].name).toBe('strawberries');
+            done();
+          });
+      });
+
+      it('$gte', function(done) {
+        db.find({_id: {$gte: 6}})
+          .then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].name).toBe('pineapple');
+            expect(results[1].name).toBe('strawberries');
+            done();
+          });
+      });
+
+      it('$in', function(done) {
+        db.find({color: {$in: ['red', 'yellow']}})
+          .then(function(results) {
+            expect(results.length).toBe(4);
+            expect(results[0].name).toBe('apple');
+            expect(results[1].name).toBe('banana');
+            expect(results[2].name).toBe('pineapple');
+            expect(results[3].name).toBe('strawberries');
+            done();
+          });
+      });
+
+      it('$ne', function(done) {
+        db.find({name: {$ne: 'grape'}})
+          .then(function(results) {
+            expect(results.length).toBe(7);
+            for (var i = 0; i < results.length; i++) {
+              expect(results[0].name).not.toBe('grape');
+            }
+            done();
+          });
+      });
+
+      it('$nin', function(done) {
+        db.find({color: {$nin: ['red', 'yellow', 'purple', 'orange', 'green']}})
+          .then(function(results) {
+            expect(results.length).toBe(1);
+            expect(results[0].name).toBe('coconut');
+            done();
+          });
+      });
+
+      it('$exists', function(done) {
+        db.find({color: {$exists: true}})
+          .then(function(results) {
+            expect(results.length).toBe(0);
+            return db.find({color: {$exists: false}});
+          })
+          .then(function(results) {
+            expect(results.length).toBe(8);
+            done();
+          });
+      });
+
+      it('$regex', function(done) {
+        db.find({name: {$regex: /p/}, _id: {$lt: 4}})
+          .then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].name).toBe('apple');
+            expect(results[1].name).toBe('grape');
+            done();
+          });
+      });
+
+      it('$or', function(done) {
+        db.find({$or: [{color: 'red'}, {color: 'yellow'}]})
+          .then(function(results) {
+            expect(results.length).toBe(4);
+            expect(results[0].name).toBe('apple');
+            expect(results[1].name).toBe('banana');
+            expect(results[2].name).toBe('pineapple');
+            expect(results[3].name).toBe('strawberries');
+            done();
+          });
+      });
+
+      it('$and', function(done) {
+        db.find({$and: [{color: 'red'}, {color: 'yellow'}]})
+          .then(function(results) {
+            expect(results.length).toBe(0);
+            done();
+          });
+      });
+
+      it('$not', function(done) {
+        db.find({$not: {$or: [
+          {color: 'red'},
+          {color: 'yellow'},
+          {color: 'orange'},
+          {color: 'green'}
+        ]}}).then(function(results) {
+          expect(results.length).toBe(2);
+          expect(results[0].name).toBe('coconut');
+          expect(results[1].name).toBe('grape');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('resize', function() {
+    it('can change disk block size of in-memory database', function(done) {
+      var fruits = [];
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.resize(64);
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(database.blockSize).toBe(64);
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function() {
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+
+    it('can increase block size of a partially on-disk database', function(done) {
+      var fruits = [];
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 200;
+      database.load()
+        .then(function() {
+          return database.resize(64);
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(database.blockSize).toBe(64);
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function() {
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+
+    it('can decrease block size of a partially on-disk database', function(done) {
+      var fruits = [];
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 200;
+      database.load()
+        .then(function() {
+          return database.resize(48);
+        })
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(database.blockSize).toBe(48);
+          return database.iterate(function(item) {
+            fruits[parseInt(item._id)] = item.name;
+            return true;
+          });
+        })
+        .then(function() {
+          expect(fruits).toEqual(expectFruits);
+          done();
+        });
+    });
+  });
+
+  describe('remove', function() {
+    it('removes an item from a database', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.remove({name: 'grape'});
+        })
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(1);
+          var cache = database.cache;
+          expect(cache.length).toBe(7);
+          return database.find({name: 'grape'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('removes multiple items from a database', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.remove({color: 'red'});
+        })
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(2);
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('removes an array of queries, cached and on-disk', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 200;
+      database.load()
+        .then(function() {
+          return database.remove({$or: [
+            {name: 'strawberries'},
+            {name: 'coconut'}
+          ]});
+        })
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(2);
+          expect(database.cache.length).toBe(3);
+          return database.find({name: 'grape'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].color).toBe('purple');
+          done();
+        });
+    });
+
+    it('removes a sorted and limited set of queries', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.remove({color: 'red'}, {
+            limit: 1,
+            sort: function(a, b) {
+              return a.name < b.name;
+            }
+          });
+        })
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(1);
+          expect(database.cache.length).toBe(7);
+          return database.find({name: 'strawberries'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+  });
+
+  describe('compact', function() {
+    it('leaves a tombstone in place of a removed item', function(done) {
+      var blocks;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          blocks = database.blocks;
+          return database.remove({name: 'grape'});
+        })
+        .then(function() {
+          expect(database.blocks).toBe(blocks);
+          // Load without the index so every block is scanned
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(Object.keys(database.items).length).toBe(7);
+          expect(Object.keys(database.blockHoles).length).toBe(1);
+          return database.find({name: 'grape'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('reuses holes for new items', function(done) {
+      var blocks;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          blocks = database.blocks;
+          return database.remove({color: 'red'});
+        })
+        .then(function() {
+          return database.insert({_id: 'kiwi', name: 'kiwi', color: 'green'});
+        })
+        .then(function() {
+          expect(database.blocks).toBe(blocks);
+          expect(Object.keys(database.blockHoles).length).toBe(1);
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(Object.keys(database.blockHoles).length).toBe(1);
+          return database.find({name: 'kiwi'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          done();
+        });
+    });
+
+    it('reclaims the blocks of removed items', function(done) {
+      var blocks;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          blocks = database.blocks;
+          return database.remove({color: 'red'});
+        })
+        .then(function() {
+          return database.compact();
+        })
+        .then(function(reclaimed) {
+          expect(reclaimed).toBe(2);
+          expect(database.blocks).toBe(blocks - 2);
+          expect(fs.statSync(database.fileName).size).toBe(database.headerLength + database.blocks * database.blockSize);
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(6);
+          done();
+        });
+    });
+
+    it('compacts automatically above the autoCompactThreshold', function(done) {
+      var blocks;
+      var database = new Database({
+        copyOf: fruitDb,
+        autoCompactThreshold: 0.2
+      });
+      database.load()
+        .then(function() {
+          blocks = database.blocks;
+          return database.remove({name: 'grape'});
+        })
+        .then(function() {
+          expect(database.blocks).toBe(blocks);
+          return database.remove({color: 'red'});
+        })
+        .then(function() {
+          expect(database.blocks).toBe(blocks - 3);
+          expect(Object.keys(database.blockHoles).length).toBe(0);
+          done();
+        });
+    });
+  });
+
+  describe('ensureIndex', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.ensureIndex({fieldName: 'color'});
+        })
+        .then(done);
+    });
+
+    it('finds equality and $in matches without scanning', function(done) {
+      spyOn(database, 'iterate').and.callThrough();
+      database.find({color: 'yellow'})
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['banana', 'pineapple']);
+          return database.find({color: {$in: ['red', 'purple']}, name: {$ne: 'apple'}});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['grape', 'strawberries']);
+          expect(database.iterate).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('is kept up to date by insert, update and remove', function(done) {
+      database.insert({_id: 'kiwi', name: 'kiwi', color: 'green'})
+        .then(function() {
+          return database.update({name: 'pear'}, {$set: {color: 'yellow'}});
+        })
+        .then(function() {
+          return database.remove({color: 'red'});
+        })
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(2);
+          return database.find({color: 'green'});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['kiwi']);
+          return database.find({color: 'yellow'});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['banana', 'pear', 'pineapple']);
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('is saved with the file', function(done) {
+      database.close()
+        .then(function() {
+          database = new Database(database.fileName);
+          spyOn(database, 'iterateOutOfCore').and.callThrough();
+          return database.load();
+        })
+        .then(function() {
+          expect(database.iterateOutOfCore).not.toHaveBeenCalled();
+          expect(Object.keys(database.indexes)).toEqual(['color']);
+          return database.insert({_id: 'cherry', name: 'cherry', color: 'red'});
+        })
+        .then(function() {
+          // Reload without closing, so the index is rebuilt by a scan
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          spyOn(database, 'iterate').and.callThrough();
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['apple', 'cherry', 'strawberries']);
+          expect(database.iterate).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('leaves items without the field out of a sparse index', function(done) {
+      database.insert({_id: 'rock', name: 'rock'})
+        .then(function() {
+          return database.ensureIndex({fieldName: 'flavor', sparse: true});
+        })
+        .then(function() {
+          expect(database.indexes.flavor.keyOf('rock')).toBeUndefined();
+          expect(database.indexes.color.keyOf('rock')).toBe('null');
+          return database.find({flavor: null});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(9);
+          done();
+        });
+    });
+
+    it('removes an index', function(done) {
+      database.removeIndex('color')
+        .then(function() {
+          expect(database.indexes.color).toBeUndefined();
+          expect(database.schemaData).toBeUndefined();
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(database.indexes).toEqual({});
+          done();
+        });
+    });
+
+    it('is rolled back with a failed transaction', function(done) {
+      database.transaction(function(tx) {
+        return tx.update({name: 'apple'}, {$set: {color: 'green'}})
+          .then(function() {
+            throw new Error('Wish denied');
+          });
+      })
+        .catch(function() {
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['apple', 'strawberries']);
+          return database.find({color: 'green'});
+        })
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['pear']);
+          done();
+        });
+    });
+  });
+
+  describe('unique', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.ensureIndex({fieldName: 'name', unique: true});
+        })
+        .then(done);
+    });
+
+    it('rejects an insert with a value that is already used', function(done) {
+      database.insert({name: 'apple', color: 'green'})
+        .then(function() {
+          fail('Expected the insert to be rejected');
+        }, function(error) {
+          expect(error instanceof Database.UniqueConstraintError).toBe(true);
+          expect(error._id).toBe('0');
+          expect(error.fieldName).toBe('name');
+          return database.find({name: 'apple'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          done();
+        });
+    });
+
+    it('rejects an update with a value that is already used', function(done) {
+      database.update({name: 'pear'}, {$set: {name: 'banana'}})
+        .then(function() {
+          fail('Expected the update to be rejected');
+        }, function(error) {
+          expect(error instanceof Database.UniqueConstraintError).toBe(true);
+          expect(error._id).toBe('2');
+          return database.update({name: 'pear'}, {$set: {name: 'pear', color: 'golden'}});
+        })
+        .then(function() {
+          return database.find({name: 'pear'});
+        })
+        .then(function(results) {
+          expect(results[0].color).toBe('golden');
+          done();
+        });
+    });
+
+    it('leaves no partial writes when an array insert is rejected', function(done) {
+      var size = fs.statSync(database.fileName).size;
+      database.insert([
+        {_id: 'kiwi', name: 'kiwi'},
+        {_id: 'lime', name: 'lime'},
+        {_id: 'lemon', name: 'kiwi'}
+      ])
+        .then(function() {
+          fail('Expected the insert to be rejected');
+        }, function(error) {
+          expect(error._id).toBe('kiwi');
+          expect(fs.statSync(database.fileName).size).toBe(size);
+          return database.find({});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(8);
+          return database.insert({_id: 'kiwi', name: 'kiwi'});
+        })
+        .then(function() {
+          return database.verify();
+        })
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          done();
+        });
+    });
+
+    it('enforces the combined values of a compound constraint', function(done) {
+      database.ensureIndex({fieldName: ['color', 'size'], unique: true})
+        .then(function() {
+          return database.insert({name: 'cherry', color: 'red', size: 'small'});
+        })
+        .then(function() {
+          return database.insert({name: 'watermelon', color: 'red', size: 'large'});
+        })
+        .then(function() {
+          return database.insert({name: 'raspberry', color: 'red', size: 'small'});
+        })
+        .then(function() {
+          fail('Expected the insert to be rejected');
+        }, function(error) {
+          expect(error instanceof Database.UniqueConstraintError).toBe(true);
+          expect(error.fieldName).toEqual(['color', 'size']);
+          done();
+        });
+    });
+
+    it('is not created over values that are already duplicated', function(done) {
+      database.ensureIndex({fieldName: 'color', unique: true})
+        .then(function() {
+          fail('Expected ensureIndex to be rejected');
+        }, function(error) {
+          expect(error instanceof Database.UniqueConstraintError).toBe(true);
+          expect(database.indexes.color).toBeUndefined();
+          done();
+        });
+    });
+
+    it('is saved with the file', function(done) {
+      database.close()
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.insert({name: 'grape'});
+        })
+        .then(function() {
+          fail('Expected the insert to be rejected');
+        }, function(error) {
+          expect(error._id).toBe('3');
+          done();
+        });
+    });
+  });
+
+  describe('insert', function() {
+    it('adds a new item to the database', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert({_id:"8", color:'green', name:'honeydew'});
+        })
+        .then(function() {
+          return database.find({color:'green'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          done();
+        });
+    });
+
+    it('adds an item larger than the block size using overflow blocks', function(done) {
+      var blockSize;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 200;
+      database.load()
+        .then(function() {
+          blockSize = database.blockSize;
+          return database.insert({_id: 'honeydew', color:'green', name:'honeydew', description: new Array(20).join('sweet and green ')});
+        })
+        .then(function() {
+          expect(database.blockSize).toBe(blockSize);
+          expect(database.items.honeydew.overflow.length).toBeGreaterThan(0);
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({color:'green'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          expect(results[1].description).toContain('sweet and green');
+          done();
+        });
+    });
+
+    it('releases overflow blocks when an item shrinks', function(done) {
+      var blocks;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert({_id: 'honeydew', description: new Array(20).join('sweet and green ')});
+        })
+        .then(function() {
+          blocks = database.blocks;
+          return database.insert({_id: 'honeydew', description: 'sweet'});
+        })
+        .then(function() {
+          expect(database.items.honeydew.overflow.length).toBe(0);
+          expect(database.blocks).toBe(blocks);
+          expect(Object.keys(database.blockHoles).length).toBeGreaterThan(0);
+          return database.compact();
+        })
+        .then(function() {
+          expect(database.blocks).toBeLessThan(blocks);
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({_id: 'honeydew'});
+        })
+        .then(function(results) {
+          expect(results[0].description).toBe('sweet');
+          return database.find({name: 'strawberries'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          done();
+        });
+    });
+
+    it('overwrites an existing item in the database', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert({_id:'5', color:'green', name:'honeydew'});
+        })
+        .then(function() {
+          return database.find({color:'green'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          done();
+        });
+    });
+
+    it('adds multiple items to the database', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert([
+            {_id:"8", color:'green', name:'honeydew'},
+            {color:'orange', name:'cantalope'},
+            {_id:"0", color:'black', name:'blackberry'}
+          ]);
+        })
+        .then(function() {
+          return database.find({color:'green'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          return database.find({name: 'blackberry'})
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          var item = results[0];
+          expect(item).toBeDefined();
+          expect(item.color).toBe('black');
+          done();
+        });
+    });
+  });
+
+  describe('upgrade', function() {
+    it('rewrites a version 1 file in the current format before its first change', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          expect(database.version).toBe(1);
+          return database.insert({_id: '8', color: 'green', name: 'honeydew'});
+        })
+        .then(function() {
+          expect(database.version).toBe(Database.VERSION);
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          expect(database.version).toBe(Database.VERSION);
+          expect(database.blockSize).toBe(64);
+          return database.find({});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(9);
+          done();
+        });
+    });
+  });
+
+  describe('verify', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        blockSize: 32
+      });
+      database.load()
+        .then(function() {
+          return database.insert([
+            {_id: 'a', name: 'aladdin'},
+            {_id: 'b', name: 'jasmine'},
+            {_id: 'c', name: 'jafar', wishes: ['power', 'more power', 'even more power']}
+          ]);
+        })
+        .then(done);
+    });
+
+    function overwriteBlock(block, buffer) {
+      var fd = fs.openSync(database.fileName, 'r+');
+      fs.writeSync(fd, buffer, 0, buffer.length, database.headerLength + block * database.blockSize);
+      fs.closeSync(fd);
+    }
+
+    function readBlock(block) {
+      var buffer = new Buffer(database.blockSize);
+      var fd = fs.openSync(database.fileName, 'r');
+      fs.readSync(fd, buffer, 0, buffer.length, database.headerLength + block * database.blockSize);
+      fs.closeSync(fd);
+      return buffer;
+    }
+
+    it('reports a consistent database as valid', function(done) {
+      database.verify()
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          expect(report.fileBlocks).toBe(database.blocks);
+          expect(report.corruptBlocks).toEqual([]);
+          expect(report.duplicateIds).toEqual([]);
+          done();
+        });
+    });
+
+    it('detects a block that fails its checksum', function(done) {
+      var block = database.items.c.overflow[0];
+      var buffer = readBlock(block);
+      buffer[buffer.length - 1] ^= 0xFF;
+      overwriteBlock(block, buffer);
+      database.cache = [];
+      database.items.c.cached = false;
+      database.find({_id: 'c'})
+        .then(function() {
+          fail('Expected a CorruptBlockError');
+        }, function(error) {
+          expect(error instanceof Database.CorruptBlockError).toBe(true);
+          expect(error.block).toBe(block);
+          return database.verify();
+        })
+        .then(function(report) {
+          expect(report.valid).toBe(false);
+          var corruptBlocks = report.corruptBlocks.map(function(corruptBlock) {
+            return corruptBlock.block;
+          });
+          expect(corruptBlocks).toContain(block);
+          expect(corruptBlocks).toContain(database.items.c.block);
+          done();
+        });
+    });
+
+    it('detects duplicate _ids and a block count that does not match the header', function(done) {
+      overwriteBlock(database.items.a.block, readBlock(database.items.b.block));
+      fs.appendFileSync(database.fileName, new Buffer(database.blockSize));
+      database.verify()
+        .then(function(report) {
+          expect(report.valid).toBe(false);
+          expect(report.fileBlocks).toBe(report.headerBlocks + 1);
+          expect(report.duplicateIds).toEqual([{
+            _id: 'b',
+            blocks: [database.items.a.block, database.items.b.block].sort()
+          }]);
+          done();
+        });
+    });
+  });
+
+  describe('transaction', function() {
+    it('commits every write together and sees its own writes', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.transaction(function(tx) {
+            return tx.insert({_id: 'kiwi', name: 'kiwi', color: 'green'})
+              .then(function() {
+                return tx.remove({color: 'red'});
+              })
+              .then(function() {
+                return tx.update({name: 'kiwi'}, {$set: {color: 'golden'}});
+              })
+              .then(function() {
+                return tx.find({color: 'golden'});
+              });
+          });
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          return abandon(database);
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          return database.load();
+        })
+        .then(function() {
+          return database.find({});
+        })
+        .then(function(results) {
+          expect(names(results).length).toBe(7);
+          expect(names(results)).toContain('kiwi');
+          expect(names(results)).not.toContain('apple');
+          done();
+        });
+    });
+
+    it('rolls back memory and the file when the function throws', function(done) {
+      var size;
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          // Upgrade the file to the current version before measuring it
+          return database.compact();
+        })
+        .then(function() {
+          size = fs.statSync(database.fileName).size;
+          return database.transaction(function(tx) {
+            return tx.update({color: 'red'}, {$set: {color: 'blue'}})
+              .then(function() {
+                return tx.insert({_id: 'kiwi', name: 'kiwi', color: 'green'});
+              })
+              .then(function() {
+                return tx.remove({name: 'grape'});
+              })
+              .then(function() {
+                throw new Error('Wish denied');
+              });
+          });
+        })
+        .then(function() {
+          fail('Expected the transaction to reject');
+        }, function(error) {
+          expect(error.message).toBe('Wish denied');
+          expect(Object.keys(database.items).length).toBe(8);
+          expect(fs.statSync(database.fileName).size).toBe(size);
+          return database.find({color: 'red'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          return database.find({name: 'grape'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          return database.verify();
+        })
+        .then(function(report) {
+          expect(report.valid).toBe(true);
+          done();
+        });
+    });
+
+    it('rejects writes after the transaction has finished', function(done) {
+      var database = new Database();
+      var handle;
+      database.load()
+        .then(function() {
+          return database.transaction(function(tx) {
+            handle = tx;
+          });
+        })
+        .then(function() {
+          return handle.insert({_id: 'a'});
+        })
+        .then(function() {
+          fail('Expected the insert to reject');
+        }, function() {
+          expect(database.items.a).toBeUndefined();
+          done();
+        });
+    });
+
+    it('rejects reads and writes that do not go through the handle until it has finished', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      var errors = [];
+      function expectRejection(promise) {
+        return promise
+          .then(function() {
+            fail('Expected a TransactionInProgressError');
+          }, function(error) {
+            errors.push(error);
+          });
+      }
+      database.load()
+        .then(function() {
+          return database.transaction(function(tx) {
+            return tx.insert({_id: 'kiwi', name: 'kiwi', color: 'green'})
+              .then(function() {
+                return expectRejection(database.insert({_id: 'lime', name: 'lime'}));
+              })
+              .then(function() {
+                return expectRejection(database.find({color: 'green'}));
+              })
+              .then(function() {
+                return expectRejection(database.count());
+              })
+              .then(function() {
+                return expectRejection(database.cursor({}).next());
+              })
+              .then(function() {
+                return expectRejection(database.transaction(function() {}));
+              });
+          });
+        })
+        .then(function() {
+          expect(errors.length).toBe(5);
+          errors.forEach(function(error) {
+            expect(error instanceof Database.TransactionInProgressError).toBe(true);
+          });
+          return database.find({name: {$in: ['kiwi', 'lime']}});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['kiwi']);
+          done();
+        });
+    });
+  });
+
+  describe('update', function() {
+    it('updates a existing entries', function(done) {
+      var database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.update({color: 'red'}, {color: 'maroon'});
+        })
+        .then(function(numUpdated) {
+          expect(numUpdated).toBe(2);
+          return database.find({color:'maroon'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(2);
+          expect(results[0].name).toBe('apple');
+          expect(results[0].color).toBe('maroon');
+          expect(results[1].name).toBe('strawberries');
+          expect(results[1].color).toBe('maroon');
+          done();
+        });
+    });
+
+    describe('supports built-in operator functions', function() {
+      it('$set', function(done) {
+        var database = new Database({
+          copyOf: fruitDb
+        });
+        database.load()
+          .then(function() {
+            return database.update({color: 'red'}, {$set: {isRed: true, isNotRed: false}});
+          })
+          .then(function() {
+            return database.find({isRed: true})
+          })
+          .then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].isNotRed).toBe(false);
+            expect(results[1].isNotRed).toBe(false);
+            done();
+          });
+      });
+
+      it('$unset', function(done) {
+        var database = new Database({
+          copyOf: fruitDb
+        });
+        database.load()
+          .then(function() {
+            return database.update({color: 'orange'}, {$unset: {name: true}})
+          })
+          .then(function() {
+            return database.find({color: 'orange'})
+          })
+          .then(function(results) {
+            expect(results.length).toBe(1);
+            expect(results[0].name).not.toBeDefined();
+            done();
+          });
+      });
+
+      it('$inc', function(done) {
+        var database = new Database({
+          copyOf: fruitDb
+        });
+        database.load()
+          .then(function() {
+            return database.insert({name: 'counter', value: 1});
+          })
+          .then(function() {
+            return database.update({name: 'counter'}, {$inc: {value: -1}});
+          })
+          .then(function() {
+            return database.find({name: 'counter'});
+          })
+          .then(function(results) {
+            expect(results.length).toBe(1);
+            expect(results[0].value).toBe(0);
+            done();
+          });
+      });
+
+      it('$min', function(done) {
+        var database = new Database({
+          copyOf: fruitDb
+        });
+        database.load()
+          .then(function() {
+            return database.insert([{name: 'minTest', value: 2}, {name: 'minTest', value: 5}]);
+          })
+          .then(function() {
+            return database.update({name: 'minTest'}, {$min: {value: 3}});
+          })
+          .then(function() {
+            return database.find({name: 'minTest'})
+          })
+          .then(function(results) {
+            expect(results.length).toBe(2);
+            expect(results[0].value).toBe(2);
+            expect(results[1].value).toBe(3);
+            done();
+          });
+      });
+    });
+  });
+
+  describe('dot paths', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert([{
+            _id: 'kiwi',
+            name: 'kiwi',
+            origin: {country: 'New Zealand', region: {name: 'Bay of Plenty'}},
+            stats: {wins: 1},
+            tags: ['fuzzy', 'green']
+          }, {
+            _id: 'mango',
+            name: 'mango',
+            origin: {country: 'India'},
+            tags: ['sweet']
+          }]);
+        })
+        .then(done);
+    });
+
+    it('finds nested fields and array elements', function(done) {
+      database.find({'origin.region.name': 'Bay of Plenty'})
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].name).toBe('kiwi');
+          return database.find({'tags.0': 'sweet'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].name).toBe('mango');
+          return database.find({'origin.country': {$in: ['India', 'New Zealand']}, 'stats.wins': {$gt: 0}});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].name).toBe('kiwi');
+          done();
+        });
+    });
+
+    it('updates nested fields with every operator', function(done) {
+      database.update({name: 'kiwi'}, {
+        $set: {'origin.region.name': 'Northland', 'tags.1': 'brown'},
+        $inc: {'stats.wins': 2},
+        $unset: {'origin.country': true},
+        $push: {'stats.seasons': 'winter'}
+      })
+        .then(function() {
+          return database.update({name: 'kiwi'}, {$max: {'stats.wins': 5}, $pop: {'stats.seasons': 1}});
+        })
+        .then(function() {
+          return database.find({_id: 'kiwi'});
+        })
+        .then(function(results) {
+          expect(results[0].origin).toEqual({region: {name: 'Northland'}});
+          expect(results[0].tags).toEqual(['fuzzy', 'brown']);
+          expect(results[0].stats).toEqual({wins: 5, seasons: []});
+          done();
+        });
+    });
+
+    it('creates missing objects along the path', function(done) {
+      database.update({name: 'mango'}, {$set: {'stats.wins': 3}, $push: {'ripeness.notes': 'soft'}})
+        .then(function() {
+          return database.find({'stats.wins': 3});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].stats).toEqual({wins: 3});
+          expect(results[0].ripeness).toEqual({notes: ['soft']});
+          return database.update({name: 'mango'}, {$set: {'name.first': 'm'}});
+        })
+        .then(function() {
+          fail('Expected the update to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('name is not an object');
+          done();
+        });
+    });
+
+    it('leaves missing paths alone for $pop and $pull', function(done) {
+      database.update({}, {$pull: {'stats.tags': 'x'}, $pop: {'stats.list': 1, 'ripeness.notes': -1}})
+        .then(function() {
+          return database.find({_id: {$in: ['kiwi', 'mango']}}, {sort: {_id: 1}});
+        })
+        .then(function(results) {
+          expect(results[0].stats).toEqual({wins: 1});
+          expect(results[1].stats).toBeUndefined();
+          expect(results[1].ripeness).toBeUndefined();
+          done();
+        });
+    });
+
+    it('rejects setting a name that is not an index in an array', function(done) {
+      database.update({name: 'mango'}, {$set: {'tags.n': 5}})
+        .then(function() {
+          fail('Expected the update to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Cannot set tags.n, tags is an array and n is not an index');
+          return database.update({name: 'mango'}, {$set: {'tags.first.letter': 's'}});
+        })
+        .then(function() {
+          fail('Expected the update to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('tags is an array and first is not an index');
+          return database.find({_id: 'mango'});
+        })
+        .then(function(results) {
+          expect(results[0].tags).toEqual(['sweet']);
+          done();
+        });
+    });
+
+    it('counts missing fields as 0 for $inc and sets them for $min and $max', function(done) {
+      database.update({name: 'mango'}, {
+        $inc: {'stats.wins': 2, 'stats.draws': -1},
+        $min: {'stats.losses': 4},
+        $max: {'ripeness.score': 7}
+      })
+        .then(function() {
+          return database.find({_id: 'mango'});
+        })
+        .then(function(results) {
+          expect(results[0].stats).toEqual({wins: 2, draws: -1, losses: 4});
+          expect(results[0].ripeness).toEqual({score: 7});
+          return database.update({name: 'mango'}, {$inc: {'stats.wins': 1}, $min: {'stats.losses': 6}});
+        })
+        .then(function() {
+          return database.find({_id: 'mango'});
+        })
+        .then(function(results) {
+          expect(results[0].stats).toEqual({wins: 3, draws: -1, losses: 4});
+          done();
+        });
+    });
+
+    it('projects nested fields', function(done) {
+      database.find({name: 'kiwi'}, {
+        projections: {
+          _id: false,
+          'origin.region.name': true,
+          'tags.1': true,
+          'stats.losses': true
+        }
+      })
+        .then(function(results) {
+          expect(results).toEqual([{origin: {region: {name: 'Bay of Plenty'}}, tags: [undefined, 'green'], stats: {}}]);
+          done();
+        });
+    });
+
+    it('indexes nested fields', function(done) {
+      database.ensureIndex({fieldName: 'origin.country'})
+        .then(function() {
+          spyOn(database, 'iterate').and.callThrough();
+          return database.find({'origin.country': 'India'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(1);
+          expect(results[0].name).toBe('mango');
+          expect(database.iterate).not.toHaveBeenCalled();
+          done();
+        });
+    });
+  });
+
+  describe('arrays', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(function() {
+          return database.insert([{
+            _id: 'kiwi',
+            tags: ['fuzzy', 'green'],
+            scores: [3, 9],
+            reviews: [{by: 'ali', stars: 2}, {by: 'sam', stars: 5}]
+          }, {
+            _id: 'mango',
+            tags: ['sweet', 'orange', 'green'],
+            scores: [6],
+            reviews: [{by: 'ali', stars: 5}]
+          }, {
+            _id: 'lime',
+            tags: 'green',
+            scores: []
+          }]);
+        })
+        .then(done);
+    });
+
+    it('matches a value against every element', function(done) {
+      database.find({tags: 'green'})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi', 'lime', 'mango']);
+          return database.find({tags: ['fuzzy', 'green']});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi']);
+          return database.find({tags: /^sw/});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['mango']);
+          return database.find({tags: /^sw/, 'reviews.by': 'sam'});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          return database.find({'reviews.by': 'sam'});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi']);
+          done();
+        });
+    });
+
+    it('applies comparison operators to the elements', function(done) {
+      database.find({scores: {$gt: 8}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi']);
+          return database.find({tags: {$in: ['sweet', 'fuzzy']}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi', 'mango']);
+          return database.find({tags: {$nin: ['fuzzy']}, scores: {$lt: 10}});
+        })
+        .then(function(results) {
+          // An empty array has no element to compare
+          expect(sortedIds(results)).toEqual(['mango']);
+          return database.find({tags: {$ne: 'orange', $in: ['green']}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi', 'lime']);
+          done();
+        });
+    });
+
+    it('$size', function(done) {
+      database.find({scores: {$size: 1}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['mango']);
+          return database.find({scores: {$size: 0}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['lime']);
+          done();
+        });
+    });
+
+    it('$all', function(done) {
+      database.find({tags: {$all: ['green', 'sweet']}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['mango']);
+          return database.find({tags: {$all: ['green']}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi', 'lime', 'mango']);
+          done();
+        });
+    });
+
+    it('$elemMatch', function(done) {
+      database.find({reviews: {$elemMatch: {by: 'ali', stars: {$gte: 4}}}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['mango']);
+          return database.find({scores: {$elemMatch: {$gt: 2, $lt: 5}}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['kiwi']);
+          return database.find({scores: {$gt: 4, $lt: 6}});
+        })
+        .then(function(results) {
+          // Without $elemMatch each condition may be met by a different element
+          expect(sortedIds(results)).toEqual(['kiwi']);
+          done();
+        });
+    });
+  });
+
+  describe('explain', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(done);
+    });
+
+    it('looks up an _id directly', function(done) {
+      database.explain({_id: '3', color: 'purple'})
+        .then(function(stats) {
+          expect(stats.plan).toBe('idLookup');
+          expect(stats.estimated).toBe(1);
+          expect(stats.examined).toBe(1);
+          expect(stats.returned).toBe(1);
+          return database.explain({_id: '3', color: 'red'});
+        })
+        .then(function(stats) {
+          expect(stats.returned).toBe(0);
+          done();
+        });
+    });
+
+    it('stops reading from disk once a limit is reached', function(done) {
+      var items = [];
+      for (var i = 0; i < 200; i++) {
+        items.push({_id: 'wish' + i, wishNum: i});
+      }
+      database.insert(items)
+        .then(function() {
+          return database.close();
+        })
+        .then(function() {
+          database = new Database(database.fileName);
+          database.maxCacheSize = 0;
+          return database.load();
+        })
+        .then(function() {
+          return database.explain({}, {limit: 1});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('diskScan');
+          expect(stats.returned).toBe(1);
+          expect(stats.blocksRead).toBeLessThan(10);
+          return database.explain({wishNum: {$gte: 0}}, {limit: 2});
+        })
+        .then(function(stats) {
+          expect(stats.returned).toBe(2);
+          expect(stats.blocksRead).toBeLessThan(20);
+          return database.findOne({wishNum: 150});
+        })
+        .then(function(item) {
+          expect(item._id).toBe('wish150');
+          done();
+        });
+    });
+
+    it('examines nothing for an _id that is not in the database', function(done) {
+      database.explain({_id: 'missing'})
+        .then(function(stats) {
+          expect(stats.plan).toBe('idLookup');
+          expect(stats.estimated).toBe(0);
+          expect(stats.examined).toBe(0);
+          expect(stats.returned).toBe(0);
+          return database.count({_id: 'missing'});
+        })
+        .then(function(count) {
+          expect(count).toBe(0);
+          done();
+        });
+    });
+
+    it('scans the disk, then the cache', function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 0;
+      database.load()
+        .then(function() {
+          database.maxCacheSize = Number.MAX_VALUE;
+          return database.explain({color: 'red'});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('diskScan');
+          expect(stats.estimated).toBe(8);
+          expect(stats.examined).toBe(8);
+          expect(stats.blocksRead).toBe(8);
+          expect(stats.returned).toBe(2);
+          expect(stats.elapsed).toBeGreaterThan(-1);
+          return database.explain({color: 'red'});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('cacheScan');
+          expect(stats.blocksRead).toBe(0);
+          done();
+        });
+    });
+
+    it('uses the index with the fewest candidates', function(done) {
+      database.ensureIndex({fieldName: 'color'})
+        .then(function() {
+          return database.ensureIndex({fieldName: 'name'});
+        })
+        .then(function() {
+          return database.explain({color: 'red', name: 'apple'});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexLookup');
+          expect(stats.index).toBe('name');
+          expect(stats.estimated).toBe(1);
+          expect(stats.returned).toBe(1);
+          return database.explain({color: {$ne: 'red'}});
+        })
+        .then(function(stats) {
+          expect(stats.plan).not.toBe('indexLookup');
+          expect(stats.examined).toBe(8);
+          done();
+        });
+    });
+  });
+
+  describe('sort', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.load()
+        .then(done);
+    });
+
+    it('sorts by each field of a spec in turn', function(done) {
+      database.find({}, {sort: {color: -1, name: 1}})
+        .then(function(results) {
+          expect(names(results)).toEqual(['banana', 'pineapple', 'apple', 'strawberries', 'grape', 'orange', 'pear', 'coconut']);
+          done();
+        });
+    });
+
+    it('sorts by nested fields and orders mixed types', function(done) {
+      database.insert([
+        {name: 'a', size: {rank: 'large'}},
+        {name: 'b', size: {rank: 2}},
+        {name: 'c', size: {rank: true}},
+        {name: 'd', size: {rank: [1]}},
+        {name: 'e', size: {rank: {value: 1}}},
+        {name: 'f', size: {rank: 10}},
+        {name: 'g', size: {rank: null}}
+      ])
+        .then(function() {
+          return database.find({name: {$lt: 'h'}}, {sort: {'size.rank': 1, name: 1}});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['apple', 'banana', 'coconut', 'g', 'grape', 'b', 'f', 'a', 'e', 'd', 'c']);
+          done();
+        });
+    });
+
+    it('skips and limits', function(done) {
+      database.find({}, {sort: {name: 1}, skip: 2, limit: 3})
+        .then(function(results) {
+          expect(names(results)).toEqual(['coconut', 'grape', 'orange']);
+          return database.find({}, {skip: 6, limit: 5});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['pineapple', 'strawberries']);
+          return database.find({}, {sort: {name: -1}, skip: 1});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(7);
+          expect(results[0].name).toBe('pineapple');
+          return database.find({}, {sort: {name: 1}, limit: 0});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('sorts by fields left out of the projection', function(done) {
+      database.find({color: 'red'}, {sort: {name: -1}, limit: 1, projections: {color: true}})
+        .then(function(results) {
+          expect(results).toEqual([{_id: '7', color: 'red'}]);
+          done();
+        });
+    });
+
+    it('rejects an invalid sort', function(done) {
+      database.find({}, {sort: {name: 'up'}})
+        .then(function() {
+          fail('Expected find to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('Invalid sort direction');
+          done();
+        });
+    });
+
+    it('removes a sorted, skipped and limited set', function(done) {
+      database.remove({}, {sort: {name: 1}, skip: 1, limit: 2})
+        .then(function(numRemoved) {
+          expect(numRemoved).toBe(2);
+          return database.find({}, {sort: {name: 1}});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['apple', 'grape', 'orange', 'pear', 'pineapple', 'strawberries']);
+          done();
+        });
+    });
+  });
+
+  describe('cursor', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
+      });
+      database.maxCacheSize = 0;
+      database.load()
+        .then(done);
+    });
+
+    function drain(cursor, results) {
+      results = results || [];
+      return cursor.next()
+        .then(function(item) {
+          if (item === undefined) {
+            return results;
+          }
+          results.push(item);
+          return drain(cursor, results);
+        });
+    }
+
+    it('reads blocks a batch at a time as results are asked for', function(done) {
+      spyOn(database, 'iterateOutOfCore').and.callThrough();
+      var cursor = database.cursor({color: {$ne: 'red'}}, {batchSize: 3});
+      cursor.next()
+        .then(function(item) {
+          expect(item.name).toBe('coconut');
+          expect(database.iterateOutOfCore.calls.count()).toBe(1);
+          expect(database.iterateOutOfCore.calls.argsFor(0)[2].endBlock).toBe(3);
+          expect(database.cache.length).toBe(0);
+          return drain(cursor);
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['banana', 'grape', 'orange', 'pear', 'pineapple']);
+          expect(database.iterateOutOfCore.calls.count()).toBe(3);
+          return cursor.next();
+        })
+        .then(function(item) {
+          expect(item).toBeUndefined();
+          done();
+        });
+    });
+
+    it('skips, limits, sorts and projects', function(done) {
+      drain(database.cursor({}).skip(1).limit(3).project({name: true, _id: false}))
+        .then(function(results) {
+          expect(results).toEqual([{name: 'coconut'}, {name: 'banana'}, {name: 'grape'}]);
+          return drain(database.cursor({}).sort({name: -1}).skip(1).limit(2));
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['pineapple', 'pear']);
+          done();
+        });
+    });
+
+    it('does not return an item twice when it is updated while reading', function(done) {
+      var cursor = database.cursor({}, {batchSize: 2});
+      cursor.next()
+        .then(function(item) {
+          expect(item.name).toBe('apple');
+          return database.update({name: 'apple'}, {$set: {color: 'green'}});
+        })
+        .then(function() {
+          return drain(cursor);
+        })
+        .then(function(results) {
+          expect(results.length).toBe(7);
+          expect(names(results)).not.toContain('apple');
+          done();
+        });
+    });
+
+    it('is an async iterable that closes when left early', function(done) {
+      var cursor = database.cursor({color: 'red'});
+      var iterator = cursor[Symbol.asyncIterator]();
+      iterator.next()
+        .then(function(result) {
+          expect(result).toEqual({done: false, value: {_id: '0', name: 'apple', color: 'red'}});
+          return iterator.return();
+        })
+        .then(function(result) {
+          expect(result.done).toBe(true);
+          expect(cursor.closed).toBe(true);
+          return iterator.next();
+        })
+        .then(function(result) {
+          expect(result.done).toBe(true);
+          expect(function() {
+            cursor.limit(1);
+          }).toThrowError(/after the cursor has started/);
+          done();
+        });
+    });
+
+    it('streams results', function(done) {
+      var results = [];
+      database.cursor({color: {$in: ['red', 'yellow']}}).stream()
+        .on('data', function(item) {
+          results.push(item.name);
+        })
+        .on('end', function() {
+          expect(results).toEqual(['apple', 'banana', 'pineapple', 'strawberries']);
+          done();
+        });
+    });
 
-      it('$gte', function(done) {
-        db.find({_id: {$gte: 6}})
-          .then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].name).toBe('pineapple');
-            expect(results[1].name).toBe('strawberries');
-            done();
-          });
+    it('closes when its stream is destroyed', function(done) {
+      var cursor = database.cursor({});
+      var readable = cursor.stream();
+      readable.once('data', function() {
+        readable.destroy();
       });
-
-      it('$in', function(done) {
-        db.find({color: {$in: ['red', 'yellow']}})
-          .then(function(results) {
-            expect(results.length).toBe(4);
-            expect(results[0].name).toBe('apple');
-            expect(results[1].name).toBe('banana');
-            expect(results[2].name).toBe('pineapple');
-            expect(results[3].name).toBe('strawberries');
-            done();
-          });
+      readable.on('close', function() {
+        expect(cursor.closed).toBe(true);
+        done();
       });
+    });
+  });
 
-      it('$ne', function(done) {
-        db.find({name: {$ne: 'grape'}})
-          .then(function(results) {
-            expect(results.length).toBe(7);
-            for (var i = 0; i < results.length; i++) {
-              expect(results[0].name).not.toBe('grape');
-            }
-            done();
-          });
+  describe('count, distinct and findOne', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
       });
+      database.load()
+        .then(function() {
+          return database.insert([
+            {_id: 'kiwi', name: 'kiwi', color: ['green', 'brown']},
+            {_id: 'lime', name: 'lime', color: 'green'}
+          ]);
+        })
+        .then(done);
+    });
 
-      it('$nin', function(done) {
-        db.find({color: {$nin: ['red', 'yellow', 'purple', 'orange', 'green']}})
-          .then(function(results) {
-            expect(results.length).toBe(1);
-            expect(results[0].name).toBe('coconut');
-            done();
-          });
-      });
+    it('counts matches', function(done) {
+      spyOn(database, 'iterate').and.callThrough();
+      database.count({})
+        .then(function(count) {
+          expect(count).toBe(10);
+          return database.count({color: 'green'});
+        })
+        .then(function(count) {
+          expect(count).toBe(3);
+          return database.count({_id: 'lime'});
+        })
+        .then(function(count) {
+          expect(count).toBe(1);
+          expect(database.iterate).not.toHaveBeenCalled();
+          done();
+        });
+    });
 
-      it('$exists', function(done) {
-        db.find({color: {$exists: true}})
-          .then(function(results) {
-            expect(results.length).toBe(0);
-            return db.find({color: {$exists: false}});
-          })
-          .then(function(results) {
-            expect(results.length).toBe(8);
-            done();
-          });
-      });
+    it('finds distinct values', function(done) {
+      database.distinct('color', {name: {$ne: 'apple'}})
+        .then(function(values) {
+          expect(values).toEqual(['brown', 'yellow', 'purple', 'orange', 'green', 'red']);
+          return database.distinct('size');
+        })
+        .then(function(values) {
+          expect(values).toEqual([]);
+          done();
+        });
+    });
 
-      it('$regex', function(done) {
-        db.find({name: {$regex: /p/}, _id: {$lt: 4}})
-          .then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].name).toBe('apple');
-            expect(results[1].name).toBe('grape');
-            done();
-          });
-      });
+    it('finds one match', function(done) {
+      database.findOne({color: 'green'})
+        .then(function(item) {
+          expect(item.name).toBe('pear');
+          return database.findOne({color: 'green'}, {sort: {name: -1}, projections: {name: true, _id: false}});
+        })
+        .then(function(item) {
+          expect(item).toEqual({name: 'pear'});
+          return database.findOne({color: 'green'}, {sort: {name: 1}, limit: 5});
+        })
+        .then(function(item) {
+          expect(item.name).toBe('kiwi');
+          item.name = 'changed';
+          return database.findOne({_id: 'kiwi'});
+        })
+        .then(function(item) {
+          expect(item.name).toBe('kiwi');
+          return database.findOne({color: 'blue'});
+        })
+        .then(function(item) {
+          expect(item).toBeUndefined();
+          done();
+        });
+    });
+  });
 
-      it('$or', function(done) {
-        db.find({$or: [{color: 'red'}, {color: 'yellow'}]})
-          .then(function(results) {
-            expect(results.length).toBe(4);
-            expect(results[0].name).toBe('apple');
-            expect(results[1].name).toBe('banana');
-            expect(results[2].name).toBe('pineapple');
-            expect(results[3].name).toBe('strawberries');
-            done();
-          });
+  describe('aggregate', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
+        copyOf: fruitDb
       });
+      database.load()
+        .then(function() {
+          return database.update({}, {$set: {price: 2}});
+        })
+        .then(function() {
+          return database.update({color: {$in: ['red', 'yellow']}}, {$set: {price: 3, tags: ['sweet', 'bright']}});
+        })
+        .then(done);
+    });
 
-      it('$and', function(done) {
-        db.find({$and: [{color: 'red'}, {color: 'yellow'}]})
-          .then(function(results) {
-            expect(results.length).toBe(0);
-            done();
-          });
-      });
+    it('groups with accumulators', function(done) {
+      database.aggregate([
+        {$match: {name: {$ne: 'coconut'}}},
+        {$group: {
+          _id: '$price',
+          total: {$sum: '$price'},
+          count: {$sum: 1},
+          average: {$avg: '$price'},
+          first: {$min: '$name'},
+          last: {$max: '$name'},
+          names: {$push: '$name'}
+        }},
+        {$sort: {_id: -1}}
+      ])
+        .then(function(results) {
+          expect(results).toEqual([{
+            _id: 3,
+            total: 12,
+            count: 4,
+            average: 3,
+            first: 'apple',
+            last: 'strawberries',
+            names: ['apple', 'banana', 'pineapple', 'strawberries']
+          }, {
+            _id: 2,
+            total: 6,
+            count: 3,
+            average: 2,
+            first: 'grape',
+            last: 'pear',
+            names: ['grape', 'orange', 'pear']
+          }]);
+          done();
+        });
+    });
 
-      it('$not', function(done) {
-        db.find({$not: {$or: [
-          {color: 'red'},
-          {color: 'yellow'},
-          {color: 'orange'},
-          {color: 'green'}
-        ]}}).then(function(results) {
+    it('unwinds, projects, skips and limits', function(done) {
+      database.aggregate([
+        {$unwind: '$tags'},
+        {$project: {_id: false, name: true, tag: '$tags'}},
+        {$sort: {tag: 1, name: 1}},
+        {$skip: 1},
+        {$limit: 3}
+      ])
+        .then(function(results) {
+          expect(results).toEqual([
+            {name: 'banana', tag: 'bright'},
+            {name: 'pineapple', tag: 'bright'},
+            {name: 'strawberries', tag: 'bright'}
+          ]);
+          return database.aggregate([
+            {$group: {_id: {color: '$color'}, count: {$sum: 1}}},
+            {$match: {count: {$gt: 1}}},
+            {$project: {count: 0}}
+          ]);
+        })
+        .then(function(results) {
+          expect(results).toEqual([{_id: {color: 'red'}}, {_id: {color: 'yellow'}}]);
+          done();
+        });
+    });
+
+    it('stops reading once a limit is reached', function(done) {
+      spyOn(database, 'matches').and.callThrough();
+      database.aggregate([{$match: {price: {$gt: 1}}}, {$limit: 2}])
+        .then(function(results) {
           expect(results.length).toBe(2);
-          expect(results[0].name).toBe('coconut');
-          expect(results[1].name).toBe('grape');
+          expect(database.matches.calls.count()).toBe(2);
+          done();
+        });
+    });
+
+    it('rejects invalid stages', function(done) {
+      database.aggregate([{$bogus: {}}])
+        .then(function() {
+          fail('Expected aggregate to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Unknown pipeline stage: $bogus');
+          return database.aggregate([{$group: {_id: null, total: '$price'}}]);
+        })
+        .then(function() {
+          fail('Expected aggregate to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('Invalid $group field total');
           done();
         });
-      });
     });
   });
 
-  describe('resize', function() {
-    it('can change disk block size of in-memory database', function(done) {
-      var fruits = [];
-      var database = new Database({
+  describe('ensureTextIndex', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
         copyOf: fruitDb
       });
       database.load()
         .then(function() {
-          return database.resize(64);
+          return database.insert([
+            {_id: 'lamp', title: 'The magic lamp', body: 'Rubbing the lamp grants three wishes'},
+            {_id: 'ring', title: 'A wishing ring', body: 'The ring granted a wish, then another wish'},
+            {_id: 'carpet', title: 'Flying carpets', body: 'A carpet that flies', tags: ['magic', 'travel']},
+            {_id: 'bottle', title: 'An empty bottle', body: 'Nothing to see here'}
+          ]);
+        })
+        .then(function() {
+          return database.ensureTextIndex(['title', 'body', 'tags']);
+        })
+        .then(done);
+    });
+
+    it('finds stemmed terms ranked by relevance', function(done) {
+      spyOn(database, 'iterate').and.callThrough();
+      database.find({$text: {$search: 'wished'}})
+        .then(function(results) {
+          expect(ids(results)).toEqual(['ring', 'lamp']);
+          return database.explain({$text: {$search: 'the magic'}});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexLookup');
+          expect(stats.index).toBe('$text');
+          expect(stats.estimated).toBe(2);
+          expect(database.iterate).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    it('supports phrases and negated terms', function(done) {
+      database.find({$text: {$search: '"magic lamp"'}})
+        .then(function(results) {
+          expect(ids(results)).toEqual(['lamp']);
+          return database.find({$text: {$search: 'magic -lamps'}});
+        })
+        .then(function(results) {
+          expect(ids(results)).toEqual(['carpet']);
+          return database.find({$text: {$search: 'the'}});
+        })
+        .then(function(results) {
+          expect(results.length).toBe(0);
+          done();
+        });
+    });
+
+    it('projects and sorts by the score', function(done) {
+      database.find({$text: {$search: 'wish magic'}, _id: {$ne: 'carpet'}}, {
+        projections: {title: true, score: {$meta: 'textScore'}},
+        sort: {score: {$meta: 'textScore'}}
+      })
+        .then(function(results) {
+          // The ring uses wish three times
+          expect(ids(results)).toEqual(['ring', 'lamp']);
+          expect(results[0].title).toBe('A wishing ring');
+          expect(results[0].body).toBeUndefined();
+          expect(results[0].score).toBeGreaterThan(results[1].score);
+          return database.find({$text: {$search: 'wish magic'}}, {
+            projections: {score: {$meta: 'textScore'}},
+            sort: {title: 1}
+          });
+        })
+        .then(function(results) {
+          expect(ids(results)).toEqual(['ring', 'carpet', 'lamp']);
+          expect(results[0].body).toBeDefined();
+          expect(results[0].score).toBeGreaterThan(0);
+          done();
+        });
+    });
+
+    it('is kept up to date and saved with the file', function(done) {
+      database.update({_id: 'bottle'}, {$set: {body: 'A genie grants wishes from this bottle'}})
+        .then(function() {
+          return database.remove({_id: 'ring'});
+        })
+        .then(function() {
+          return database.close();
         })
         .then(function() {
           database = new Database(database.fileName);
           return database.load();
         })
         .then(function() {
-          expect(database.blockSize).toBe(64);
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          expect(database.indexes.$text.language).toBe('english');
+          return database.find({$text: {$search: 'wish'}});
+        })
+        .then(function(results) {
+          expect(ids(results).sort()).toEqual(['bottle', 'lamp']);
+          return database.removeIndex('$text');
         })
         .then(function() {
-          expect(fruits).toEqual(expectFruits);
+          return database.find({$text: {$search: 'wish'}});
+        })
+        .then(function() {
+          fail('Expected find to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('needs a text index');
           done();
         });
     });
 
-    it('can increase block size of a partially on-disk database', function(done) {
-      var fruits = [];
-      var database = new Database({
+    it('keeps every word with the none language', function(done) {
+      database.removeIndex('$text')
+        .then(function() {
+          return database.ensureTextIndex('body', {language: 'none'});
+        })
+        .then(function() {
+          return database.count({$text: {$search: 'wish'}});
+        })
+        .then(function(count) {
+          expect(count).toBe(1);
+          return database.ensureTextIndex('title');
+        })
+        .then(function() {
+          fail('Expected ensureTextIndex to be rejected');
+        }, function(error) {
+          expect(error.message).toContain('already a text index');
+          done();
+        });
+    });
+  });
+
+  describe('ordered indexes', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
         copyOf: fruitDb
       });
-      database.maxCacheSize = 200;
       database.load()
         .then(function() {
-          return database.resize(64);
+          // Each fruit weighs ten times its _id
+          return ['0', '1', '2', '3', '4', '5', '6', '7'].reduce(function(promise, id) {
+            return promise.then(function() {
+              return database.update({_id: id}, {$set: {weight: Number(id) * 10}});
+            });
+          }, Promise.resolve());
         })
         .then(function() {
-          return database.close();
+          return database.ensureIndex({fieldName: 'weight', ordered: true});
+        })
+        .then(done);
+    });
+
+    it('seeks to the values in range', function(done) {
+      database.explain({weight: {$gte: 20, $lt: 50}})
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexLookup');
+          expect(stats.index).toBe('weight');
+          expect(stats.examined).toBe(3);
+          return database.find({weight: {$gt: 20, $lte: 50}});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['grape', 'orange', 'pear']);
+          done();
+        });
+    });
+
+    it('finds values of other types that match loosely', function(done) {
+      database.insert({_id: 'melon', name: 'melon', weight: '65'})
+        .then(function() {
+          return database.find({weight: {$gt: 55}});
         })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['6', '7', 'melon']);
+          done();
+        });
+    });
+
+    it('reads only the items a sorted query with a limit needs', function(done) {
+      database.close()
         .then(function() {
           database = new Database(database.fileName);
+          database.maxCacheSize = 0;
           return database.load();
         })
         .then(function() {
-          expect(database.blockSize).toBe(64);
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          return database.explain({color: {$ne: 'red'}}, {sort: {weight: -1}, limit: 2});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexOrder');
+          expect(stats.examined).toBe(3);
+          expect(stats.blocksRead).toBe(3 * (1 + database.items['7'].overflow.length));
+          return database.find({color: {$ne: 'red'}}, {sort: {weight: -1}, limit: 2, skip: 1});
+        })
+        .then(function(results) {
+          expect(names(results)).toEqual(['pear', 'orange']);
+          done();
+        });
+    });
+
+    it('walks the index only as far as a sorted query with a limit needs', function(done) {
+      var index = database.indexes.weight;
+      spyOn(index, 'walk').and.callThrough();
+      database.explain({}, {sort: {weight: 1}, limit: 2})
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexOrder');
+          expect(stats.estimated).toBe(8);
+          expect(index.walk.calls.count()).toBe(1);
+          expect(index.walk.calls.mostRecent().returnValue.length).toBe(2);
+          return database.find({weight: {$ne: 10}}, {sort: {weight: 1}, limit: 2});
         })
+        .then(function(results) {
+          expect(ids(results)).toEqual(['0', '2']);
+          expect(index.walk.calls.count()).toBe(3);
+          done();
+        });
+    });
+
+    it('streams a sorted cursor in index order', function(done) {
+      var cursor = database.cursor({weight: {$lt: 40}}, {batchSize: 2}).sort({weight: -1});
+      var names = [];
+      function read() {
+        return cursor.next()
+          .then(function(item) {
+            if (item) {
+              names.push(item.name);
+              return read();
+            }
+          });
+      }
+      read()
         .then(function() {
-          expect(fruits).toEqual(expectFruits);
+          expect(names).toEqual(['grape', 'banana', 'coconut', 'apple']);
           done();
         });
     });
 
-    it('can decrease block size of a partially on-disk database', function(done) {
-      var fruits = [];
-      var database = new Database({
-        copyOf: fruitDb
-      });
-      database.maxCacheSize = 200;
-      database.load()
+    it('keeps compound keys in order and enforces unique ones', function(done) {
+      database.removeIndex('weight')
         .then(function() {
-          return database.resize(48);
+          return database.ensureIndex({fieldName: ['color', 'weight'], ordered: true, unique: true});
+        })
+        .then(function() {
+          return database.explain({color: 'red'}, {sort: {color: 1, weight: -1}});
+        })
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexLookup');
+          expect(stats.index).toBe('color,weight');
+          return database.find({color: 'red'}, {sort: {color: 1, weight: -1}});
         })
+        .then(function(results) {
+          expect(names(results)).toEqual(['strawberries', 'apple']);
+          return database.insert({name: 'cherry', color: 'red', weight: 70});
+        })
+        .then(function() {
+          fail('Expected the insert to be rejected');
+        }, function(error) {
+          expect(error instanceof Database.UniqueConstraintError).toBe(true);
+          expect(error._id).toBe('7');
+          done();
+        });
+    });
+
+    it('keeps the index after a reload', function(done) {
+      database.remove({_id: '3'})
         .then(function() {
           return database.close();
         })
@@ -489,291 +3377,344 @@ describe('Database', function() {
           return database.load();
         })
         .then(function() {
-          expect(database.blockSize).toBe(48);
-          return database.iterate(function(item) {
-            fruits[parseInt(item._id)] = item.name;
-            return true;
-          });
+          return database.explain({weight: {$lte: 30}});
         })
-        .then(function() {
-          expect(fruits).toEqual(expectFruits);
+        .then(function(stats) {
+          expect(stats.plan).toBe('indexLookup');
+          expect(stats.returned).toBe(3);
           done();
         });
     });
   });
 
-  describe('remove', function() {
-    it('removes an item from a database', function(done) {
-      var database = new Database({
+  describe('registered operators', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database({
         copyOf: fruitDb
       });
       database.load()
-        .then(function() {
-          return database.remove({name: 'grape'});
-        })
-        .then(function(numRemoved) {
-          expect(numRemoved).toBe(1);
-          var cache = database.cache;
-          expect(cache.length).toBe(7);
-          return database.find({name: 'grape'});
-        })
-        .then(function(results) {
-          expect(results.length).toBe(0);
-          done();
-        });
+        .then(done);
     });
 
-    it('removes multiple items from a database', function(done) {
-      var database = new Database({
+    it('adds a query operator to one database', function(done) {
+      database.registerQueryOperator('$startsWith', function(value, prefix) {
+        return typeof value === 'string' && value.indexOf(prefix) === 0;
+      });
+      var other = new Database({
         copyOf: fruitDb
       });
-      database.load()
-        .then(function() {
-          return database.remove({color: 'red'});
+      database.find({name: {$startsWith: 'p'}})
+        .then(function(results) {
+          expect(sortedNames(results)).toEqual(['pear', 'pineapple']);
+          return other.load();
         })
-        .then(function(numRemoved) {
-          expect(numRemoved).toBe(2);
-          return database.find({color: 'red'});
+        .then(function() {
+          return other.find({name: {$startsWith: 'p'}});
         })
-        .then(function(results) {
-          expect(results.length).toBe(0);
+        .then(function() {
+          fail('Expected the query to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Unknown query operator: $startsWith');
           done();
         });
     });
 
-    it('removes an array of queries, cached and on-disk', function(done) {
-      var database = new Database({
-        copyOf: fruitDb
+    it('adds a top level query operator', function(done) {
+      database.registerQueryOperator('$nor', function(item, queries) {
+        for (var i = 0; i < queries.length; i++) {
+          if (this.matches(item, queries[i])) {
+            return false;
+          }
+        }
+        return true;
+      }, {topLevel: true});
+      database.count({$nor: [{color: 'red'}, {color: 'yellow'}]})
+        .then(function(count) {
+          expect(count).toBe(4);
+          done();
+        });
+    });
+
+    it('adds an update operator and rejects unknown ones', function(done) {
+      database.registerUpdateOperator('$append', function(item, update) {
+        for (var key in update) {
+          if (update.hasOwnProperty(key)) {
+            item[key] += update[key];
+          }
+        }
       });
-      database.maxCacheSize = 200;
-      database.load()
+      database.update({name: 'pear'}, {$append: {name: 's'}})
         .then(function() {
-          return database.remove({$or: [
-            {name: 'strawberries'},
-            {name: 'coconut'}
-          ]});
+          return database.update({name: 'pears'}, {$sett: {color: 'blue'}});
         })
-        .then(function(numRemoved) {
-          expect(numRemoved).toBe(2);
-          expect(database.cache.length).toBe(3);
-          return database.find({name: 'grape'});
+        .then(function() {
+          fail('Expected the update to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Unknown update operator: $sett');
+          return database.findOne({_id: '5'});
         })
-        .then(function(results) {
-          expect(results.length).toBe(1);
-          expect(results[0].color).toBe('purple');
+        .then(function(item) {
+          expect(item).toEqual({_id: '5', name: 'pears', color: 'green'});
           done();
         });
     });
 
-    it('removes a sorted and limited set of queries', function(done) {
-      var database = new Database({
-        copyOf: fruitDb
+    it('adds an operator to every database', function(done) {
+      Database.registerQueryOperator('$longerThan', function(value, length) {
+        return String(value).length > length;
       });
-      database.load()
-        .then(function() {
-          return database.remove({color: 'red'}, {
-            limit: 1,
-            sort: function(a, b) {
-              return a.name < b.name;
-            }
-          });
-        })
-        .then(function(numRemoved) {
-          expect(numRemoved).toBe(1);
-          expect(database.cache.length).toBe(7);
-          return database.find({name: 'strawberries'});
-        })
+      database.find({name: {$longerThan: 8}})
         .then(function(results) {
-          expect(results.length).toBe(0);
+          delete Database.prototype.operators.$longerThan;
+          expect(sortedNames(results)).toEqual(['pineapple', 'strawberries']);
           done();
         });
     });
+
+    it('checks the name and function', function() {
+      function noop() {}
+      expect(function() {
+        database.registerQueryOperator('startsWith', noop);
+      }).toThrowError('Invalid operator name startsWith: it has to start with $');
+      expect(function() {
+        database.registerUpdateOperator('$append', 'append');
+      }).toThrowError('Invalid operator $append: expected a function');
+      expect(function() {
+        database.registerQueryOperator('$gt', noop);
+      }).toThrowError('The operator $gt is already defined');
+      expect(function() {
+        database.registerQueryOperator('$or', noop);
+      }).toThrowError('The operator $or is already defined');
+    });
   });
 
-  describe('insert', function() {
-    it('adds a new item to the database', function(done) {
-      var database = new Database({
-        copyOf: fruitDb
-      });
+  describe('$type, $mod, $where and $expr', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database();
       database.load()
         .then(function() {
-          return database.insert({_id:"8", color:'green', name:'honeydew'});
+          return database.insert([
+            {_id: 'a', value: 4, budget: 10, spent: 12},
+            {_id: 'b', value: 'four', budget: 10, spent: 8},
+            {_id: 'c', value: [1, 'one'], budget: 5, spent: 5},
+            {_id: 'd', value: null, budget: 20},
+            {_id: 'e', value: {four: 4}, spent: 3},
+            {_id: 'f', value: new Date(0), budget: 1, spent: 7},
+            {_id: 'g', value: true}
+          ]);
         })
-        .then(function() {
-          return database.find({color:'green'});
+        .then(done);
+    });
+
+    it('matches the type of a field or its elements', function(done) {
+      database.find({value: {$type: 'number'}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['a', 'c']);
+          return database.find({value: {$type: ['array', 'null', 'boolean']}});
         })
         .then(function(results) {
-          expect(results.length).toBe(2);
+          expect(sortedIds(results)).toEqual(['c', 'd', 'g']);
+          return database.find({value: {$type: 'object'}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['e']);
+          return database.find({value: {$type: 'date'}});
+        })
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['f']);
+          return database.find({value: {$type: 'float'}});
+        })
+        .then(function() {
+          fail('Expected the query to be rejected');
+        }, function(error) {
+          expect(error.message).toMatch(/^Invalid \$type: float/);
           done();
         });
     });
 
-    it('adds a new item to the database, resizing it', function(done) {
-      var blockSize;
-      var database = new Database({
-        copyOf: fruitDb
-      });
-      database.maxCacheSize = 200;
-      database.load()
+    it('matches dates saved as strings after a reload', function(done) {
+      database.close()
         .then(function() {
-          blockSize = database.blockSize;
-          return database.insert({color:'green', name:'honeydew'});
+          database = new Database(database.fileName);
+          return database.load();
         })
         .then(function() {
-          return database.find({color:'green'});
+          return database.find({value: {$type: 'date'}});
         })
         .then(function(results) {
-          expect(results.length).toBe(2);
-          expect(database.blockSize).not.toBe(blockSize);
+          expect(sortedIds(results)).toEqual(['f']);
           done();
         });
     });
 
-    it('overwrites an existing item in the database', function(done) {
-      var database = new Database({
-        copyOf: fruitDb
-      });
-      database.load()
-        .then(function() {
-          return database.insert({_id:'5', color:'green', name:'honeydew'});
+    it('matches a remainder', function(done) {
+      database.find({budget: {$mod: [10, 0]}})
+        .then(function(results) {
+          expect(sortedIds(results)).toEqual(['a', 'b', 'd']);
+          return database.find({budget: {$mod: [0, 1]}});
         })
         .then(function() {
-          return database.find({color:'green'});
-        })
+          fail('Expected the query to be rejected');
+        }, function(error) {
+          expect(error.message).toMatch(/^Invalid \$mod/);
+          done();
+        });
+    });
+
+    it('calls a $where function with each item', function(done) {
+      database.find({$where: function() {
+        return this.spent > this.budget;
+      }})
         .then(function(results) {
-          expect(results.length).toBe(1);
+          expect(sortedIds(results)).toEqual(['a', 'f']);
           done();
         });
     });
 
-    it('adds multiple items to the database', function(done) {
-      var database = new Database({
-        copyOf: fruitDb
-      });
-      database.load()
-        .then(function() {
-          return database.insert([
-            {_id:"8", color:'green', name:'honeydew'},
-            {color:'orange', name:'cantalope'},
-            {_id:"0", color:'black', name:'blackberry'}
-          ]);
-        })
-        .then(function() {
-          return database.find({color:'green'});
-        })
+    it('compares the fields of an item with $expr', function(done) {
+      database.find({$expr: {$gt: ['$spent', '$budget']}})
         .then(function(results) {
-          expect(results.length).toBe(2);
-          return database.find({name: 'blackberry'})
+          // A missing budget sorts lower than any number
+          expect(sortedIds(results)).toEqual(['a', 'e', 'f']);
+          return database.find({
+            budget: {$gte: 1},
+            $expr: {$and: [{$lte: [{$subtract: ['$budget', '$spent']}, 0]}, {$ne: ['$spent', 5]}]}
+          });
         })
         .then(function(results) {
-          expect(results.length).toBe(1);
-          var item = results[0];
-          expect(item).toBeDefined();
-          expect(item.color).toBe('black');
+          // Subtracting a missing field gives null, which sorts lower than 0
+          expect(sortedIds(results)).toEqual(['a', 'd', 'f']);
+          return database.find({$expr: {$spentTooMuch: true}});
+        })
+        .then(function() {
+          fail('Expected the query to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Unknown expression operator: $spentTooMuch');
           done();
         });
     });
   });
 
-  describe('update', function() {
-    it('updates a existing entries', function() {
-      var database = new Database({
-        copyOf: fruitDb
-      });
+  describe('projections', function() {
+    var database;
+    beforeEach(function(done) {
+      database = new Database();
       database.load()
         .then(function() {
-          return database.update({color: 'red'}, {color: 'maroon'});
+          return database.insert({
+            _id: 'ali',
+            password: 'open sesame',
+            lamp: {color: 'gold', owner: {name: 'ali', since: 1001}},
+            wishes: [
+              {wish: 'gold', granted: true},
+              {wish: 'palace', granted: false},
+              {wish: 'more gold', granted: true}
+            ],
+            tags: ['lucky', 'rich', 'tired', 'hopeful']
+          });
         })
-        .then(function(numUpdated) {
-          expect(numUpdated).toBe(2);
-          return database.find({color:'maroon'});
+        .then(done);
+    });
+
+    function project(projections) {
+      return database.findOne({_id: 'ali'}, {projections: projections});
+    }
+
+    it('excludes fields, including nested ones, without changing the item', function(done) {
+      project({password: 0, 'lamp.owner.since': false, 'wishes.granted': 0, tags: 0})
+        .then(function(item) {
+          expect(item).toEqual({
+            _id: 'ali',
+            lamp: {color: 'gold', owner: {name: 'ali'}},
+            wishes: [{wish: 'gold'}, {wish: 'palace'}, {wish: 'more gold'}]
+          });
+          return project({_id: 0});
         })
-        .then(function(results) {
-          expect(results.length).toBe(2);
-          expect(results[0].name).toBe('apple');
-          expect(results[0].color).toBe('maroon');
-          expect(results[1].name).toBe('strawberries');
-          expect(results[1].color).toBe('maroon');
+        .then(function(item) {
+          expect(item._id).toBeUndefined();
+          expect(item.password).toBe('open sesame');
+          expect(item.lamp.owner.since).toBe(1001);
+          expect(item.wishes[0].granted).toBe(true);
           done();
         });
     });
 
-    describe('supports built-in operator functions', function() {
-      it('$set', function() {
-        var database = new Database({
-          copyOf: fruitDb
-        });
-        database.load()
-          .then(function() {
-            return database.update({color: 'red'}, {$set: {isRed: true, isNotRed: false}});
-          })
-          .then(function() {
-            return database.find({isRed: true})
-          })
-          .then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].isNotRed).toBe(false);
-            expect(results[1].isNotRed).toBe(false);
+    it('includes nested fields and fields of array elements', function(done) {
+      project({'lamp.owner.name': 1, 'wishes.wish': 1})
+        .then(function(item) {
+          expect(item).toEqual({
+            _id: 'ali',
+            lamp: {owner: {name: 'ali'}},
+            wishes: [{wish: 'gold'}, {wish: 'palace'}, {wish: 'more gold'}]
           });
-      });
+          return project({_id: true});
+        })
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali'});
+          done();
+        });
+    });
 
-      it('$unset', function() {
-        var database = new Database({
-          copyOf: fruitDb
+    it('slices arrays', function(done) {
+      project({tags: {$slice: 2}, 'lamp.color': 1})
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali', lamp: {color: 'gold'}, tags: ['lucky', 'rich']});
+          return project({tags: {$slice: -1}, wishes: 0, password: 0, lamp: 0});
+        })
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali', tags: ['hopeful']});
+          return project({_id: 0, tags: {$slice: [-3, 2]}});
+        })
+        .then(function(item) {
+          expect(item.tags).toEqual(['rich', 'tired']);
+          expect(item.wishes.length).toBe(3);
+          done();
         });
-        database.load()
-          .then(function() {
-            return database.update({color: 'orange'}, {$unset: {name: true}})
-          })
-          .then(function() {
-            return database.find({color: 'orange'})
-          })
-          .then(function(results) {
-            expect(results.length).toBe(1);
-            expect(results[0].name).not.toBeDefined();
-          })
-      });
+    });
 
-      it('$inc', function() {
-        var database = new Database({
-          copyOf: fruitDb
+    it('keeps the first element matching $elemMatch', function(done) {
+      project({wishes: {$elemMatch: {granted: true, wish: /more/}}})
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali', wishes: [{wish: 'more gold', granted: true}]});
+          return project({tags: {$elemMatch: {$regex: /^t/}}, wishes: {$elemMatch: {wish: 'rubies'}}});
+        })
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali', tags: ['tired']});
+          done();
         });
-        database.load()
-          .then(function() {
-            return database.insert({name: 'counter', value: '1'});
-          })
-          .then(function() {
-            return database.update({name: 'counter'}, {$inc: {value: -1}});
-          })
-          .then(function() {
-            return database.find({name: 'counter'});
-          })
-          .then(function(results) {
-            expect(results.length).toBe(1);
-            expect(results[0].value).toBe(0);
-          })
-      });
+    });
 
-      it('$min', function() {
-        var database = new Database({
-          copyOf: fruitDb
+    it('projects the results of a cursor', function(done) {
+      database.cursor({}, {projections: {lamp: 0, wishes: 0, tags: {$slice: [1, 1]}}}).next()
+        .then(function(item) {
+          expect(item).toEqual({_id: 'ali', password: 'open sesame', tags: ['rich']});
+          done();
+        });
+    });
+
+    it('rejects invalid projections', function(done) {
+      project({password: 0, lamp: 1})
+        .then(function() {
+          fail('Expected the projection to be rejected');
+        }, function(error) {
+          expect(error.message).toBe('Invalid projection: cannot include lamp and exclude password at once, ' +
+            'only _id can be excluded from an inclusion');
+          return project({tags: {$slice: [1, 0]}});
+        })
+        .then(function() {
+          fail('Expected the projection to be rejected');
+        }, function(error) {
+          expect(error.message).toMatch(/^Invalid projection for tags: \$slice/);
+          return project({lamp: 'yes'});
+        })
+        .then(function() {
+          fail('Expected the projection to be rejected');
+        }, function(error) {
+          expect(error.message).toMatch(/^Invalid projection for lamp/);
+          done();
         });
-        database.load()
-          .then(function() {
-            return database.insert({name: 'minTest', value: 2}, {name: 'minTest', value: 5});
-          })
-          .then(function() {
-            return database.update({name: 'minTest'}, {$min: {value: 3}});
-          })
-          .then(function() {
-            return database.find({name: 'minTest'})
-          })
-          .then(function(results) {
-            expect(results.length).toBe(2);
-            expect(results[0].value).toBe(2);
-            expect(results[1].value).toBe(3);
-          });
-      });
     });
   });
 });
@@ -0,0 +1,100 @@
+'use strict';
+var Promise = require('bluebird');
+var fs = require('fs-extra');
+var tmp = require('tmp');
+var Journal = require('../../lib/Journal');
+
+var fsClose = Promise.promisify(fs.close);
+var fsOpen = Promise.promisify(fs.open);
+var fsOutputFile = Promise.promisify(fs.outputFile);
+var fsReadFile = Promise.promisify(fs.readFile);
+var tmpName = Promise.promisify(tmp.tmpName);
+
+describe('Journal', function() {
+  var fileName;
+  var fd;
+
+  beforeEach(function(done) {
+    tmpName()
+      .then(function(path) {
+        fileName = path;
+        return fsOutputFile(fileName, 'hello world');
+      })
+      .then(function() {
+        return fsOpen(fileName, 'r+');
+      })
+      .then(function(openFd) {
+        fd = openFd;
+        done();
+      });
+  });
+
+  afterEach(function(done) {
+    fsClose(fd).then(done);
+  });
+
+  it('applies writes and removes the journal on commit', function(done) {
+    var journal = new Journal(fileName + '.journal', fd);
+    journal.begin()
+      .then(function() {
+        var buffer = new Buffer('jinn!');
+        return journal.write(buffer, 0, buffer.length, 6);
+      })
+      .then(function() {
+        return journal.commit();
+      })
+      .then(function() {
+        expect(fs.existsSync(fileName + '.journal')).toBe(false);
+        return fsReadFile(fileName);
+      })
+      .then(function(data) {
+        expect(data.toString()).toBe('hello jinn!');
+        done();
+      });
+  });
+
+  it('restores the original contents on rollback', function(done) {
+    var journal = new Journal(fileName + '.journal', fd);
+    journal.begin()
+      .then(function() {
+        var buffer = new Buffer('jinn! and more');
+        return journal.write(buffer, 0, buffer.length, 6);
+      })
+      .then(function() {
+        return journal.truncate(2);
+      })
+      .then(function() {
+        return journal.rollback();
+      })
+      .then(function() {
+        expect(fs.existsSync(fileName + '.journal')).toBe(false);
+        return fsReadFile(fileName);
+      })
+      .then(function(data) {
+        expect(data.toString()).toBe('hello world');
+        done();
+      });
+  });
+
+  it('recovers a batch that never committed', function(done) {
+    var journal = new Journal(fileName + '.journal', fd);
+    journal.begin()
+      .then(function() {
+        var buffer = new Buffer('there, world');
+        return journal.write(buffer, 0, buffer.length, 6);
+      })
+      .then(function() {
+        // Simulate a crash by recovering with a fresh journal
+        return new Journal(fileName + '.journal', fd).recover();
+      })
+      .then(function(recovered) {
+        expect(recovered).toBe(true);
+        expect(fs.existsSync(fileName + '.journal')).toBe(false);
+        return fsReadFile(fileName);
+      })
+      .then(function(data) {
+        expect(data.toString()).toBe('hello world');
+        done();
+      });
+  });
+});